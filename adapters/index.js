@@ -0,0 +1,29 @@
+// adapters/index.js
+const { adapter: adapterName } = require('../config/bots');
+
+/**
+ * Steam adapters build the Steam-facing parts of a bot, so the bot pool runs the same
+ * against the real Steam network or the in-memory simulation.
+ *
+ * Every adapter exports:
+ *   name                       - The adapter's name (STEAM_ADAPTER).
+ *   requiresCredentials        - Whether every bot needs account credentials to log in.
+ *   createConnection(config)   - Returns { client, community, manager } for a bot. They expose the
+ *                                parts of steam-user, steamcommunity and steam-tradeoffer-manager
+ *                                the site uses: client logOn/logOff/relog/webLogOn and its events,
+ *                                community setCookies/startConfirmationChecker, manager
+ *                                createOffer/getOffer/getOffers/getUserInventoryContents/pollData
+ *                                and its sentOfferChanged/unknownOfferSent events.
+ *   logOn(bot)                 - Logs the bot's client on.
+ *   getConfirmations(bot, cb)  - Calls cb(err, confirmations) with the bot's pending mobile confirmations.
+ */
+const adapters = {
+  steam: () => require('./steamAdapter'),
+  mock: () => require('./mockSteamAdapter'),
+};
+
+if (!adapters[adapterName]) {
+  throw new Error(`Unknown STEAM_ADAPTER "${adapterName}". Use one of: ${Object.keys(adapters).join(', ')}.`);
+}
+
+module.exports = adapters[adapterName]();
@@ -0,0 +1,560 @@
+// adapters/mockSteamAdapter.js
+const EventEmitter = require('events');
+const SteamUser = require('steam-user');
+const SteamTradeManager = require('steam-tradeoffer-manager');
+const { parseTradeUrl } = require('../utils/tradeUrl');
+
+/**
+ * Steam adapter that simulates Steam in memory, for local development and automated tests.
+ * Bots log in without credentials, inventories live in memory and sent offers stay Active
+ * until they are accepted, declined or cancelled on command (setOfferState), which fires
+ * sentOfferChanged just like the real trade offer manager's polling does.
+ * See adapters/index.js for the interface every adapter implements.
+ */
+
+const ETradeOfferState = SteamTradeManager.ETradeOfferState;
+
+const name = 'mock';
+
+// Simulated bots log in without an account
+const requiresCredentials = false;
+
+// SteamID64 of the first simulated bot; the next ones count up from it
+const BOT_STEAM_ID64_BASE = BigInt('76561199000000001');
+
+// SteamID64 of the individual account with account ID 0
+const STEAM_ID64_BASE = BigInt('76561197960265728');
+
+const RUST_APP_ID = 252490;
+
+// States in which an offer can still be accepted, declined or cancelled
+const openStates = [
+  ETradeOfferState.Active,
+  ETradeOfferState.CreatedNeedsConfirmation,
+  ETradeOfferState.InEscrow,
+];
+
+// Simulated Steam: inventories and trade holds by SteamID64, and every offer sent
+let inventories = {};
+let escrowDays = {};
+let offers = {};
+const botSteamIds = {}; // Bot ID -> SteamID64
+let nextAssetId = 1000000000;
+let nextOfferId = 5000000000;
+let nextTradeId = 9000000000;
+
+/**
+ * Builds an object standing in for a SteamID.
+ * @param {string} steamId64 - The SteamID64.
+ * @returns {Object} { accountid, getSteamID64(), toString() }
+ */
+function mockSteamID(steamId64) {
+  return {
+    accountid: Number(BigInt(steamId64) - STEAM_ID64_BASE),
+    getSteamID64: () => steamId64,
+    toString: () => steamId64,
+  };
+}
+
+// Accepts a SteamID64 string or a SteamID object
+const toSteamId64 = (steamID) => (typeof steamID === 'string' ? steamID : steamID.getSteamID64());
+
+const getInventoryOf = (steamId64) => {
+  inventories[steamId64] = inventories[steamId64] || [];
+  return inventories[steamId64];
+};
+
+// Items are handed out as copies so callers cannot change the simulated inventories
+const copyItem = (item) => Object.assign({}, item);
+
+/**
+ * Creates an inventory item in the shape steam-tradeoffer-manager returns (CEconItem).
+ * @param {Object} item - { name, assetid?, appid?, contextid?, tradable?, iconUrl? }
+ * @returns {Object} The item.
+ */
+function createItem(item) {
+  return {
+    assetid: String(item.assetid || nextAssetId++),
+    appid: Number(item.appid || RUST_APP_ID),
+    contextid: String(item.contextid || '2'),
+    classid: '0',
+    instanceid: '0',
+    amount: 1,
+    name: item.name,
+    market_hash_name: item.name,
+    icon_url: item.iconUrl || '',
+    tradable: item.tradable !== false,
+  };
+}
+
+// Offer items are identified by their asset, app and context ID
+const sameAsset = (a, b) =>
+  String(a.assetid) === String(b.assetid) &&
+  Number(a.appid) === Number(b.appid) &&
+  String(a.contextid) === String(b.contextid);
+
+// Find the tradable inventory entry of an offer item
+const findTradable = (steamId64, offerItem) =>
+  getInventoryOf(steamId64).find((item) => item.tradable && sameAsset(item, offerItem));
+
+/**
+ * Moves an asset to another inventory. Steam gives the asset a new ID when it changes hands.
+ * @returns {Object} The item in its new inventory.
+ */
+function moveItem(fromSteamId64, toSteamId64, offerItem) {
+  const from = getInventoryOf(fromSteamId64);
+  const index = from.findIndex((item) => sameAsset(item, offerItem));
+  const [item] = from.splice(index, 1);
+
+  const moved = Object.assign({}, item, { assetid: String(nextAssetId++) });
+  getInventoryOf(toSteamId64).push(moved);
+  return moved;
+}
+
+class MockSteamUser extends EventEmitter {
+  constructor(steamId64) {
+    super();
+    this._steamId64 = steamId64;
+    this.steamID = null; // Set while connected, like steam-user
+  }
+
+  logOn() {
+    if (this.steamID) return;
+
+    setImmediate(() => {
+      this.steamID = mockSteamID(this._steamId64);
+      this.emit('loggedOn', { eresult: SteamUser.EResult.OK });
+      this.webLogOn();
+    });
+  }
+
+  logOff() {
+    if (!this.steamID) return;
+
+    this.steamID = null;
+    setImmediate(() => this.emit('disconnected', SteamUser.EResult.OK, 'Logged off'));
+  }
+
+  relog() {
+    if (!this.steamID) {
+      throw new Error('Cannot relog if not already connected');
+    }
+
+    this.once('disconnected', () => this.logOn());
+    this.logOff();
+  }
+
+  webLogOn() {
+    if (!this.steamID) {
+      throw new Error('Cannot log onto steamcommunity.com without first being connected to Steam network');
+    }
+
+    setImmediate(() => this.emit('webSession', `mock-${this._steamId64}`, [`steamLoginSecure=mock-${this._steamId64}`]));
+  }
+
+  setPersona() {}
+
+  gamesPlayed() {}
+}
+
+class MockSteamCommunity {
+  setCookies() {}
+
+  startConfirmationChecker() {}
+
+  // Simulated offers never wait for a mobile confirmation
+  getConfirmations(time, key, callback) {
+    setImmediate(() => callback(null, []));
+  }
+}
+
+class MockTradeOffer {
+  constructor(manager, partnerSteamId64, token) {
+    this.manager = manager;
+    this.partner = mockSteamID(partnerSteamId64);
+    this.token = token;
+    this.id = null;
+    this.message = '';
+    this.state = ETradeOfferState.Invalid;
+    this.itemsToGive = [];
+    this.itemsToReceive = [];
+    this.isOurOffer = true;
+    this.created = null;
+    this.updated = null;
+    this.tradeID = null;
+    this.receivedItems = []; // The partner's items as they arrived in the bot's inventory
+  }
+
+  addMyItem(item) {
+    if (this.itemsToGive.some((added) => sameAsset(added, item))) return false;
+    this.itemsToGive.push({ assetid: String(item.assetid), appid: Number(item.appid), contextid: String(item.contextid) });
+    return true;
+  }
+
+  addTheirItem(item) {
+    if (this.itemsToReceive.some((added) => sameAsset(added, item))) return false;
+    this.itemsToReceive.push({ assetid: String(item.assetid), appid: Number(item.appid), contextid: String(item.contextid) });
+    return true;
+  }
+
+  setMessage(message) {
+    this.message = message;
+  }
+
+  getUserDetails(callback) {
+    setImmediate(() => callback(
+      null,
+      { escrowDays: escrowDays[this.manager._steamId64] || 0 },
+      { escrowDays: escrowDays[this.partner.getSteamID64()] || 0 }
+    ));
+  }
+
+  send(callback) {
+    setImmediate(() => {
+      if (this.id) {
+        return callback(new Error('This offer has already been sent'));
+      }
+      if (!this.manager.steamID) {
+        return callback(new Error('Not Logged In'));
+      }
+      if (this.itemsToGive.length === 0 && this.itemsToReceive.length === 0) {
+        return callback(new Error('Cannot send an empty trade offer'));
+      }
+
+      // Steam refuses offers with assets that are gone or untradable
+      const missing =
+        this.itemsToGive.some((item) => !findTradable(this.manager._steamId64, item)) ||
+        this.itemsToReceive.some((item) => !findTradable(this.partner.getSteamID64(), item));
+      if (missing) {
+        const err = new Error(`There was an error sending your trade offer.  Please try again later. (${SteamUser.EResult.Revoked})`);
+        err.eresult = SteamUser.EResult.Revoked;
+        return callback(err);
+      }
+
+      this.id = String(nextOfferId++);
+      this.state = ETradeOfferState.Active;
+      this.created = new Date();
+      this.updated = this.created;
+      offers[this.id] = this;
+
+      this.manager.pollData.sent = this.manager.pollData.sent || {};
+      this.manager.pollData.sent[this.id] = this.state;
+
+      callback(null, 'sent');
+    });
+  }
+
+  cancel(callback) {
+    setImmediate(() => {
+      if (!this.id) {
+        return callback && callback(new Error('Cannot cancel or decline an unsent offer'));
+      }
+      if (!openStates.includes(this.state)) {
+        return callback && callback(new Error(`Offer #${this.id} is not active, so it may not be cancelled or declined`));
+      }
+
+      changeOfferState(this, ETradeOfferState.Canceled);
+      if (callback) callback(null);
+    });
+  }
+
+  getReceivedItems(callback) {
+    setImmediate(() => {
+      if (this.state !== ETradeOfferState.Accepted) {
+        return callback(new Error('Offer is not accepted'));
+      }
+      callback(null, this.receivedItems.map(copyItem));
+    });
+  }
+}
+
+class MockTradeOfferManager extends EventEmitter {
+  constructor(steamId64) {
+    super();
+    this._steamId64 = steamId64;
+    this.steamID = null; // Set once the manager has a web session
+    this.pollData = {};
+  }
+
+  setCookies(cookies, familyViewPin, callback) {
+    if (typeof familyViewPin === 'function') {
+      callback = familyViewPin;
+    }
+
+    this.steamID = mockSteamID(this._steamId64);
+    if (callback) setImmediate(() => callback(null));
+  }
+
+  createOffer(partner, token) {
+    if (typeof partner === 'string' && /^https?:\/\//.test(partner)) {
+      const parsed = parseTradeUrl(partner);
+      if (!parsed) {
+        throw new Error('Invalid trade URL');
+      }
+      return new MockTradeOffer(this, parsed.steamId64, parsed.token);
+    }
+
+    return new MockTradeOffer(this, toSteamId64(partner), token);
+  }
+
+  getOffer(id, callback) {
+    setImmediate(() => {
+      const offer = offers[id];
+      if (!offer || offer.manager !== this) {
+        return callback(new Error('No matching offer found'));
+      }
+      callback(null, offer);
+    });
+  }
+
+  getOffers(filter, historicalCutoff, callback) {
+    if (typeof historicalCutoff === 'function') {
+      callback = historicalCutoff;
+    }
+
+    setImmediate(() => {
+      if (!this.steamID) {
+        return callback(new Error('Not Logged In'));
+      }
+
+      // Only sent offers are simulated, so nothing is ever received
+      const sent = Object.values(offers).filter((offer) =>
+        offer.manager === this &&
+        (filter !== SteamTradeManager.EOfferFilter.ActiveOnly || openStates.includes(offer.state))
+      );
+      callback(null, sent, []);
+    });
+  }
+
+  getUserInventoryContents(steamID, appid, contextid, tradableOnly, callback) {
+    setImmediate(() => {
+      if (!this.steamID) {
+        return callback(new Error('Not Logged In'));
+      }
+
+      const items = getInventoryOf(toSteamId64(steamID)).filter((item) =>
+        item.appid === Number(appid) &&
+        item.contextid === String(contextid) &&
+        (!tradableOnly || item.tradable)
+      );
+      callback(null, items.map(copyItem));
+    });
+  }
+}
+
+/**
+ * Moves an offer to a new state and tells the bot's trade offer manager, as its polling would.
+ * @param {Object} offer - The simulated offer.
+ * @param {number} state - The new ETradeOfferState.
+ */
+function changeOfferState(offer, state) {
+  const oldState = offer.state;
+  offer.state = state;
+  offer.updated = new Date();
+  offer.manager.pollData.sent[offer.id] = state;
+  offer.manager.emit('sentOfferChanged', offer, oldState);
+}
+
+/**
+ * Swaps an accepted offer's items between the bot and its partner.
+ * @param {Object} offer - The simulated offer.
+ * @returns {boolean} False if an item is no longer tradable, in which case nothing moves.
+ */
+function exchangeItems(offer) {
+  const botSteamId64 = offer.manager._steamId64;
+  const partnerSteamId64 = offer.partner.getSteamID64();
+
+  if (
+    offer.itemsToGive.some((item) => !findTradable(botSteamId64, item)) ||
+    offer.itemsToReceive.some((item) => !findTradable(partnerSteamId64, item))
+  ) {
+    return false;
+  }
+
+  offer.receivedItems = offer.itemsToReceive.map((item) => moveItem(partnerSteamId64, botSteamId64, item));
+  offer.itemsToGive.forEach((item) => moveItem(botSteamId64, partnerSteamId64, item));
+  offer.tradeID = String(nextTradeId++);
+  return true;
+}
+
+/**
+ * Creates the simulated client, community session and trade offer manager of a bot.
+ * @param {Object} config - The bot's settings from config/bots.js.
+ * @returns {Object} { client, community, manager }
+ */
+function createConnection(config) {
+  const steamId64 = (BOT_STEAM_ID64_BASE + BigInt(Object.keys(botSteamIds).length)).toString();
+  botSteamIds[config.id] = steamId64;
+
+  return {
+    client: new MockSteamUser(steamId64),
+    community: new MockSteamCommunity(),
+    manager: new MockTradeOfferManager(steamId64),
+  };
+}
+
+/**
+ * Logs a simulated bot on. Credentials are not needed.
+ * @param {Object} bot - The bot.
+ */
+function logOn(bot) {
+  bot.client.logOn();
+}
+
+/**
+ * Fetches the mobile confirmations waiting for a simulated bot (always none).
+ * @param {Object} bot - The bot.
+ * @param {Function} callback - Called with (err, confirmations).
+ */
+function getConfirmations(bot, callback) {
+  bot.community.getConfirmations(null, null, callback);
+}
+
+/**
+ * Summarizes a simulated offer.
+ * @param {Object} offer - The simulated offer.
+ * @returns {Object} The offer summary.
+ */
+function describeOffer(offer) {
+  const botId = Object.keys(botSteamIds).find((id) => botSteamIds[id] === offer.manager._steamId64);
+  return {
+    id: offer.id,
+    bot: botId,
+    partner: offer.partner.getSteamID64(),
+    state: ETradeOfferState[offer.state],
+    message: offer.message,
+    itemsToGive: offer.itemsToGive.map(copyItem),
+    itemsToReceive: offer.itemsToReceive.map(copyItem),
+    receivedItems: offer.receivedItems.map(copyItem),
+    tradeID: offer.tradeID,
+    created: offer.created,
+    updated: offer.updated,
+  };
+}
+
+/**
+ * Returns the SteamID64 of a simulated bot.
+ * @param {string} botId - The bot's ID (config/bots.js).
+ * @returns {string|null} The SteamID64.
+ */
+function getBotSteamId(botId) {
+  return botSteamIds[botId] || null;
+}
+
+/**
+ * Adds items to a simulated inventory.
+ * @param {string} steamId64 - The inventory owner.
+ * @param {Array} items - { name, assetid?, appid?, contextid?, tradable?, iconUrl? } for each item.
+ * @returns {Array} The items as they are stored, with their asset IDs.
+ */
+function addItems(steamId64, items) {
+  const created = items.map(createItem);
+  const inventory = getInventoryOf(steamId64);
+
+  created.forEach((item) => {
+    if (inventory.some((existing) => sameAsset(existing, item))) {
+      throw new Error(`Asset ${item.assetid} is already in ${steamId64}'s inventory.`);
+    }
+    inventory.push(item);
+  });
+
+  return created.map(copyItem);
+}
+
+/**
+ * Replaces a simulated inventory.
+ * @param {string} steamId64 - The inventory owner.
+ * @param {Array} items - The new items, see addItems.
+ * @returns {Array} The items as they are stored.
+ */
+function setInventory(steamId64, items) {
+  inventories[steamId64] = [];
+  return addItems(steamId64, items);
+}
+
+/**
+ * Returns a simulated inventory.
+ * @param {string} steamId64 - The inventory owner.
+ * @returns {Array} The items.
+ */
+function getInventory(steamId64) {
+  return getInventoryOf(steamId64).map(copyItem);
+}
+
+/**
+ * Gives a simulated account a trade hold, which blocks its deposits.
+ * @param {string} steamId64 - The account.
+ * @param {number} days - Escrow days; 0 lifts the hold.
+ */
+function setEscrowDays(steamId64, days) {
+  escrowDays[steamId64] = days;
+}
+
+/**
+ * Lists the simulated offers, optionally only those in one state.
+ * @param {string} [state] - ETradeOfferState name, e.g. 'Active'.
+ * @returns {Array} Offer summaries, oldest first.
+ */
+function getOffers(state) {
+  return Object.values(offers)
+    .filter((offer) => !state || ETradeOfferState[offer.state] === state)
+    .map(describeOffer);
+}
+
+/**
+ * Moves a simulated offer to a new state, as if the partner or Steam had acted on it.
+ * Accepting swaps the items; if some are no longer tradable the offer ends as InvalidItems.
+ * @param {string} offerId - The offer ID.
+ * @param {string|number} state - ETradeOfferState name (e.g. 'Accepted', 'Declined') or value.
+ * @returns {Object} The offer summary.
+ */
+function setOfferState(offerId, state) {
+  const offer = offers[offerId];
+  if (!offer) {
+    throw new Error(`Offer ${offerId} does not exist.`);
+  }
+
+  const newState = typeof state === 'number' ? state : ETradeOfferState[state];
+  if (typeof newState !== 'number' || !ETradeOfferState[newState]) {
+    throw new Error(`Unknown offer state: ${state}.`);
+  }
+  if (!openStates.includes(offer.state)) {
+    throw new Error(`Offer ${offerId} is already ${ETradeOfferState[offer.state]}.`);
+  }
+  if (newState === offer.state) {
+    return describeOffer(offer);
+  }
+
+  if (newState === ETradeOfferState.Accepted && !exchangeItems(offer)) {
+    changeOfferState(offer, ETradeOfferState.InvalidItems);
+  } else {
+    changeOfferState(offer, newState);
+  }
+
+  return describeOffer(offer);
+}
+
+/**
+ * Clears every simulated inventory, trade hold and offer. Bots stay logged in.
+ */
+function reset() {
+  inventories = {};
+  escrowDays = {};
+  offers = {};
+}
+
+module.exports = {
+  name,
+  requiresCredentials,
+  createConnection,
+  logOn,
+  getConfirmations,
+  getBotSteamId,
+  addItems,
+  setInventory,
+  getInventory,
+  setEscrowDays,
+  getOffers,
+  setOfferState,
+  reset,
+};
@@ -0,0 +1,65 @@
+// adapters/steamAdapter.js
+const SteamUser = require('steam-user');
+const SteamCommunity = require('steamcommunity');
+const SteamTradeManager = require('steam-tradeoffer-manager');
+const SteamTotp = require('steam-totp');
+
+/**
+ * Steam adapter backed by the real Steam network.
+ * See adapters/index.js for the interface every adapter implements.
+ */
+
+const name = 'steam';
+
+// Every bot needs an account and its mobile authenticator secrets
+const requiresCredentials = true;
+
+/**
+ * Creates the Steam client, community session and trade offer manager of a bot.
+ * @param {Object} config - The bot's account settings from config/bots.js.
+ * @returns {Object} { client, community, manager }
+ */
+function createConnection(config) {
+  const client = new SteamUser();
+  const community = new SteamCommunity();
+  const manager = new SteamTradeManager({
+    steam: client,
+    community: community,
+    language: 'en',
+    useAccessToken: true
+  });
+
+  return { client, community, manager };
+}
+
+/**
+ * Logs a bot's client on with its account name, password and a fresh two-factor code.
+ * @param {Object} bot - The bot.
+ */
+function logOn(bot) {
+  bot.client.logOn({
+    accountName: bot.config.accountName,
+    password: bot.config.password,
+    twoFactorCode: SteamTotp.generateAuthCode(bot.config.sharedSecret)
+  });
+}
+
+/**
+ * Fetches the mobile confirmations waiting for a bot.
+ * @param {Object} bot - The bot.
+ * @param {Function} callback - Called with (err, confirmations).
+ */
+function getConfirmations(bot, callback) {
+  const time = SteamTotp.time();
+  const key = SteamTotp.getConfirmationKey(bot.config.identitySecret, time, 'conf');
+
+  bot.community.getConfirmations(time, key, callback);
+}
+
+module.exports = {
+  name,
+  requiresCredentials,
+  createConnection,
+  logOn,
+  getConfirmations,
+};
@@ -0,0 +1,156 @@
+// coinflipManager.js
+const Coinflip = require('./models/coinflipSchema');
+const Payout = require('./models/payoutSchema');
+const User = require('./models/userSchema');
+const io = require('./socket');
+const { buildClientSeed, drawWinningTicket } = require('./utils/provablyFair');
+const selectCommissionItems = require('./utils/commission');
+const { queuePayout } = require('./payoutManager');
+const { recordGameResult } = require('./ledgerManager');
+
+/**
+ * Flip settings
+ */
+const flipDuration = 3000; // Coin animation duration in milliseconds
+const flipStartDelay = 1000; // Delay before the flip starts in milliseconds
+
+/**
+ * Draws the winner of a coinflip once both deposits are in, queues the payout
+ * and records the game in both players' history.
+ * The coinflip is only marked completed once its payout is queued and its result recorded, so a
+ * failed or interrupted attempt is settled again with the same draw when the offer is retried.
+ * @param {string} coinflipId - The coinflip to settle.
+ */
+async function settleCoinflip(coinflipId) {
+  try {
+    const coinflip = await Coinflip.findOne({ _id: coinflipId, status: 'joining' })
+      .select('+serverSeed')
+      .populate('creator.user')
+      .populate('creator.items')
+      .populate('joiner.user')
+      .populate('joiner.items');
+
+    if (!coinflip) {
+      console.log(`No coinflip ${coinflipId} waiting to be settled.`);
+      return;
+    }
+
+    const players = [coinflip.creator, coinflip.joiner];
+    const overallTotal = coinflip.creator.value + coinflip.joiner.value;
+
+    // Draw the winning ticket; the creator holds the first range of tickets
+    coinflip.clientSeed = buildClientSeed(players);
+    const draw = drawWinningTicket(players, coinflip.serverSeed, coinflip.clientSeed, coinflip.nonce);
+    coinflip.totalTickets = draw.totalTickets;
+    coinflip.winningTicket = draw.winningTicket;
+
+    // With no tickets at all the creator keeps the lobby's side
+    const winnerIndex = draw.winnerIndex === -1 ? 0 : draw.winnerIndex;
+    const winnerPlayer = players[winnerIndex];
+    const joinerSide = coinflip.creatorSide === 'heads' ? 'tails' : 'heads';
+
+    // Keep the house commission by value, the rest goes to the winner
+    const allItems = coinflip.creator.items.concat(coinflip.joiner.items);
+    const commission = selectCommissionItems(allItems, coinflip.commissionPercentage, overallTotal);
+    const winnerItems = commission.winnerItems;
+    const winningsValue = overallTotal - commission.commissionValue;
+
+    // Queue the winnings; the payout worker sends and retries the trade offer
+    // Items an earlier attempt already queued are left out
+    const queued = await Payout.find({ coinflip: coinflip._id, type: 'winnings' }).select('items');
+    const queuedItemIds = new Set();
+    queued.forEach((payout) => payout.items.forEach((itemId) => queuedItemIds.add(String(itemId))));
+    const unqueuedItems = winnerItems.filter((item) => !queuedItemIds.has(String(item._id)));
+    if (unqueuedItems.length > 0) {
+      await queuePayout({ coinflip: coinflip._id }, winnerPlayer.user, unqueuedItems);
+    }
+
+    // Record the stakes, winnings and commission; the ledger updates the users' balance and statistics
+    await recordGameResult(
+      { coinflip: coinflip._id },
+      players.map((player) => ({ user: player.user._id, value: player.value })),
+      winnerPlayer.user._id,
+      commission
+    );
+
+    coinflip.winningSide = winnerIndex === 0 ? coinflip.creatorSide : joinerSide;
+    const completed = await Coinflip.findOneAndUpdate(
+      { _id: coinflip._id, status: 'joining' },
+      {
+        clientSeed: coinflip.clientSeed,
+        totalTickets: coinflip.totalTickets,
+        winningTicket: coinflip.winningTicket,
+        commissionItems: commission.commissionItems.map((item) => item._id),
+        commissionValue: commission.commissionValue,
+        commissionCredit: commission.balanceCredit,
+        totalValue: overallTotal,
+        winner: winnerPlayer.user._id,
+        winningSide: coinflip.winningSide,
+        status: 'completed',
+        completedAt: new Date(),
+      }
+    );
+    if (!completed) {
+      console.log(`Coinflip ${coinflipId} was settled by another attempt.`);
+      return;
+    }
+
+    // Add the game to both players' game history
+    for (const player of players) {
+      const isWinner = player === winnerPlayer;
+      const gameTotalWon = isWinner ? winningsValue : 0;
+
+      const updated = await User.updateOne(
+        { _id: player.user._id },
+        {
+          $push: {
+            gameHistory: {
+              coinflipId: coinflip._id,
+              deposited: player.value,
+              totalWon: gameTotalWon,
+              profit: gameTotalWon - player.value,
+              chance: `${((player.value / overallTotal) * 100).toFixed(2)}%`,
+              gamemode: 'Coinflip',
+              winningTrade: '',
+              isWinner,
+              timestamp: new Date(),
+            },
+          },
+        }
+      );
+      if (updated.matchedCount === 0) {
+        console.error(`User with ID ${player.user._id} not found.`);
+      }
+    }
+
+    // Emit the 'coinflipResult' event to synchronize the flip across all clients
+    io.getIO().emit('coinflipResult', {
+      coinflipId: coinflip._id,
+      winner: {
+        id: winnerPlayer.user._id,
+        username: winnerPlayer.user.username,
+        img: winnerPlayer.user.avatar.small || '/default-avatar.png',
+        items: winnerItems,
+        totalValue: winningsValue,
+      },
+      winningSide: coinflip.winningSide,
+      startTime: Date.now() + flipStartDelay, // Scheduled start time
+      duration: flipDuration, // Flip duration in milliseconds
+      provablyFair: {
+        serverSeed: coinflip.serverSeed,
+        serverSeedHash: coinflip.serverSeedHash,
+        clientSeed: coinflip.clientSeed,
+        nonce: coinflip.nonce,
+        totalTickets: coinflip.totalTickets,
+        winningTicket: coinflip.winningTicket,
+      },
+    });
+  } catch (error) {
+    console.error(`Error settling coinflip ${coinflipId}:`, error);
+    throw error; // Leaves the offer unhandled, so it is handled again
+  }
+}
+
+module.exports = {
+  settleCoinflip,
+};
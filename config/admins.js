@@ -0,0 +1,19 @@
+// config/admins.js
+
+/**
+ * Admin Steam IDs, comma separated in ADMIN_STEAM_IDS
+ */
+const adminSteamIds = (process.env.ADMIN_STEAM_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+/**
+ * Whether a SteamID64 belongs to an admin
+ */
+const isAdminSteamId = (steamId) => adminSteamIds.includes(steamId);
+
+module.exports = {
+  adminSteamIds,
+  isAdminSteamId,
+};
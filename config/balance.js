@@ -0,0 +1,18 @@
+// config/balance.js
+
+/**
+ * Percentage of the items' market value kept as a fee when skins are deposited for balance
+ */
+const depositFee = Number.isNaN(parseFloat(process.env.BALANCE_DEPOSIT_FEE))
+  ? 5
+  : parseFloat(process.env.BALANCE_DEPOSIT_FEE);
+
+/**
+ * Seconds an unaccepted deposit-for-balance offer stays open before it is cancelled
+ */
+const depositOfferWindow = parseInt(process.env.BALANCE_DEPOSIT_OFFER_WINDOW, 10) || 600;
+
+module.exports = {
+  depositFee,
+  depositOfferWindow,
+};
@@ -0,0 +1,63 @@
+// config/bots.js
+
+/**
+ * Default number of items a bot's inventory may hold before it stops taking deposits
+ */
+const DEFAULT_INVENTORY_LIMIT = parseInt(process.env.BOT_INVENTORY_LIMIT, 10) || 1000;
+
+/**
+ * Seconds a bot is left out of the pool after Steam rate-limits it
+ */
+const rateLimitCooldown = parseInt(process.env.BOT_RATE_LIMIT_COOLDOWN, 10) || 300;
+
+/**
+ * Seconds between checks of the bots' inventories against the items the site thinks they hold
+ */
+const reconcileInterval = parseInt(process.env.BOT_RECONCILE_INTERVAL, 10) || 900;
+
+/**
+ * Steam adapter the bots run on (adapters/index.js).
+ * 'steam' uses the real Steam network, 'mock' an in-memory simulation that needs no accounts.
+ */
+const adapter = process.env.STEAM_ADAPTER || 'steam';
+
+/**
+ * Reads the bot accounts.
+ * STEAM_BOTS holds a JSON array of { id, accountName, password, sharedSecret, identitySecret, inventoryLimit }.
+ * Without it, the single STEAM_ACCOUNT_NAME / STEAM_PASSWORD / STEAM_SHARED_SECRET / STEAM_IDENTITY_SECRET account is used.
+ */
+const loadBots = () => {
+  let accounts;
+
+  if (process.env.STEAM_BOTS) {
+    try {
+      accounts = JSON.parse(process.env.STEAM_BOTS);
+    } catch (error) {
+      throw new Error(`STEAM_BOTS is not valid JSON: ${error.message}`);
+    }
+  } else {
+    accounts = [{
+      id: 'main',
+      accountName: process.env.STEAM_ACCOUNT_NAME,
+      password: process.env.STEAM_PASSWORD,
+      sharedSecret: process.env.STEAM_SHARED_SECRET,
+      identitySecret: process.env.STEAM_IDENTITY_SECRET,
+    }];
+  }
+
+  return accounts.map((account, index) => ({
+    id: account.id || account.accountName || `bot${index + 1}`,
+    accountName: account.accountName,
+    password: account.password,
+    sharedSecret: account.sharedSecret,
+    identitySecret: account.identitySecret,
+    inventoryLimit: account.inventoryLimit || DEFAULT_INVENTORY_LIMIT,
+  }));
+};
+
+module.exports = {
+  bots: loadBots(),
+  rateLimitCooldown,
+  reconcileInterval,
+  adapter,
+};
@@ -0,0 +1,12 @@
+// config/coinflip.js
+
+/**
+ * Coinflip settings
+ * valueTolerance - the joiner's deposit must be within this fraction of the creator's (0.1 = ±10%)
+ * depositOfferWindow - seconds an unaccepted create or join deposit offer stays open before it is
+ *   cancelled, which releases the lobby
+ */
+module.exports = {
+  valueTolerance: parseFloat(process.env.COINFLIP_VALUE_TOLERANCE) || 0.1,
+  depositOfferWindow: parseInt(process.env.COINFLIP_DEPOSIT_OFFER_WINDOW, 10) || 300,
+};
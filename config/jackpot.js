@@ -0,0 +1,41 @@
+// config/jackpot.js
+
+/**
+ * Anti-snipe settings
+ * window - a deposit accepted within the last `window` seconds of a round extends it
+ * extension - seconds added to the round per extension
+ * maxExtensions - maximum number of extensions per round
+ */
+const antiSnipe = {
+  window: parseInt(process.env.ANTI_SNIPE_WINDOW, 10) || 10,
+  extension: parseInt(process.env.ANTI_SNIPE_EXTENSION, 10) || 10,
+  maxExtensions: parseInt(process.env.ANTI_SNIPE_MAX_EXTENSIONS, 10) || 3,
+};
+
+/**
+ * Seconds a 'waiting' round with a single depositor stays open before it is cancelled and refunded
+ */
+const singlePlayerTimeout = parseInt(process.env.SINGLE_PLAYER_TIMEOUT, 10) || 600;
+
+/**
+ * What happens to a deposit accepted after its round closed:
+ * 'rollover' moves it into the room's next round, 'refund' sends the items back
+ */
+const lateDepositPolicy = process.env.LATE_DEPOSIT_POLICY === 'refund' ? 'refund' : 'rollover';
+
+/**
+ * Deposit offer expiry
+ * grace - seconds an unaccepted deposit offer stays open after its round is due to end
+ * window - seconds an unaccepted deposit offer stays open while its round has no end time yet
+ */
+const depositOfferExpiry = {
+  grace: parseInt(process.env.DEPOSIT_OFFER_GRACE, 10) || 30,
+  window: parseInt(process.env.DEPOSIT_OFFER_WINDOW, 10) || 300,
+};
+
+module.exports = {
+  antiSnipe,
+  singlePlayerTimeout,
+  lateDepositPolicy,
+  depositOfferExpiry,
+};
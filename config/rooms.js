@@ -0,0 +1,48 @@
+// config/rooms.js
+
+/**
+ * Jackpot rooms.
+ * maxItemValue - every deposited item must be worth less than this (USD)
+ * minDeposit - the total value of a deposit must be at least this (USD)
+ */
+const rooms = {
+  classic: { name: 'classic', label: 'Classic', maxItemValue: null, minDeposit: 0 },
+  low: { name: 'low', label: 'Low Stakes', maxItemValue: 5, minDeposit: 0 },
+  high: { name: 'high', label: 'High Stakes', maxItemValue: null, minDeposit: 50 },
+};
+
+const DEFAULT_ROOM = 'classic';
+
+/**
+ * Looks up a room by name.
+ * @param {string} name - Room name.
+ * @returns {Object|null} The room settings or null if it does not exist.
+ */
+const getRoom = (name) => {
+  const roomName = name || DEFAULT_ROOM;
+  // Only the rooms above; names like 'constructor' must not resolve to Object.prototype
+  return Object.prototype.hasOwnProperty.call(rooms, roomName) ? rooms[roomName] : null;
+};
+
+/**
+ * Builds the query filter for a room's jackpots.
+ * Jackpots created before rooms existed have no room and belong to the default room.
+ * @param {string} name - Room name.
+ * @returns {Object} Mongoose filter value for the `room` field.
+ */
+const roomFilter = (name) => (name === DEFAULT_ROOM ? { $in: [name, null] } : name);
+
+/**
+ * Name of the socket.io room that receives a jackpot room's events.
+ * @param {string} name - Room name.
+ * @returns {string} The socket.io room name.
+ */
+const roomChannel = (name) => `jackpot:${name || DEFAULT_ROOM}`;
+
+module.exports = {
+  rooms,
+  DEFAULT_ROOM,
+  getRoom,
+  roomFilter,
+  roomChannel,
+};
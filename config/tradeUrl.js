@@ -0,0 +1,9 @@
+// config/tradeUrl.js
+
+/**
+ * Trade URL settings
+ * changeCooldown - seconds a user has to wait before changing a saved trade URL again
+ */
+module.exports = {
+  changeCooldown: parseInt(process.env.TRADE_URL_COOLDOWN, 10) || 3600,
+};
@@ -0,0 +1,143 @@
+const Jackpot = require('../models/jackpotSchema');
+const User = require('../models/userSchema');
+const jackpotManager = require('../jackpotManager');
+const { reconcileInventories, getLatestReport } = require('../reconciliationManager');
+const { getBot, getBotStatus, getBotStatuses, reloginBot: relogin } = require('../steamTradeBot');
+const { getLedgerDrift: checkLedgerDrift, resyncUser, adjustBalance } = require('../ledgerManager');
+
+// Cancel a running or waiting jackpot and refund every participant
+const cancelJackpot = async (req, res) => {
+  try {
+    const jackpot = await Jackpot.findById(req.params.jackpotId);
+    if (!jackpot) {
+      return res.status(404).json({ error: 'Jackpot not found' });
+    }
+
+    if (!['waiting', 'in_progress'].includes(jackpot.status)) {
+      return res.status(409).json({ error: `Jackpot is ${jackpot.status} and cannot be cancelled.` });
+    }
+
+    const reason = req.body.reason || 'Cancelled by an admin.';
+    const cancelled = await jackpotManager.cancelRound(jackpot, reason);
+    if (!cancelled) {
+      return res.status(409).json({ error: 'Jackpot closed before it could be cancelled.' });
+    }
+
+    res.status(200).json({ success: true, message: 'Jackpot cancelled. Refunds have been queued.' });
+  } catch (error) {
+    console.error('Error cancelling jackpot:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Report the health of every trade bot
+const getBots = async (req, res) => {
+  res.status(200).json(getBotStatuses());
+};
+
+// Log a trade bot in again, e.g. after it stopped retrying
+const reloginBot = async (req, res) => {
+  try {
+    const bot = getBot(req.params.botId);
+    if (!bot) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+
+    relogin(bot);
+
+    res.status(200).json({ success: true, message: 'Relogin started.', status: getBotStatus(bot) });
+  } catch (error) {
+    console.error('Error relogging bot:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Report the latest check of the bots' inventories against the site's items
+const getInventoryReconciliation = async (req, res) => {
+  const report = getLatestReport();
+  if (!report) {
+    return res.status(404).json({ error: 'No inventory reconciliation has run yet.' });
+  }
+
+  res.status(200).json(report);
+};
+
+// Check the bots' inventories right away
+const runInventoryReconciliation = async (req, res) => {
+  try {
+    const report = await reconcileInventories();
+    res.status(200).json(report);
+  } catch (error) {
+    console.error('Error reconciling bot inventories:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Compare users' balances and statistics with the ledger
+const getLedgerDrift = async (req, res) => {
+  try {
+    const report = await checkLedgerDrift();
+    res.status(200).json(report);
+  } catch (error) {
+    console.error('Error checking the ledger:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Rebuild a user's balance and statistics from the ledger
+const resyncUserWithLedger = async (req, res) => {
+  try {
+    const user = await User.findOne({ steamId: req.params.steamId });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await resyncUser(user);
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error resyncing user with the ledger:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Add to or take from a user's balance, recorded in the ledger with the reason
+// Body: { amount, reason }
+const adjustUserBalance = async (req, res) => {
+  try {
+    const amount = Number(req.body.amount);
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!Number.isFinite(amount) || Math.round(amount * 100) === 0) {
+      return res.status(400).json({ error: 'A non-zero amount is required.' });
+    }
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required.' });
+    }
+
+    const user = await User.findOne({ steamId: req.params.steamId });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const transaction = await adjustBalance(user, amount, reason, req.user.id);
+    const { balance } = await User.findById(user._id).select('balance');
+
+    res.status(200).json({ success: true, transaction, balance });
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_BALANCE') {
+      return res.status(400).json({ error: 'The balance does not cover this adjustment.', code: error.code });
+    }
+    console.error('Error adjusting balance:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  cancelJackpot,
+  getBots,
+  reloginBot,
+  getInventoryReconciliation,
+  runInventoryReconciliation,
+  getLedgerDrift,
+  resyncUserWithLedger,
+  adjustUserBalance,
+};
@@ -0,0 +1,182 @@
+const Item = require('../models/itemSchema');
+const User = require('../models/userSchema');
+const Transaction = require('../models/transactionSchema');
+const io = require('../socket');
+const { depositFee, depositOfferWindow } = require('../config/balance');
+const { sendTradeOfferToUser, registerOfferHandler, trackTradeOffer } = require('../utils/tradeOffers');
+const { sendTradeError } = require('../utils/tradeErrors');
+const { lockItems, assignLock, unlockItems } = require('../utils/itemLocks');
+const { getMarketPrices } = require('../utils/getInventory');
+const { postTransaction } = require('../ledgerManager');
+
+const BALANCE_DEPOSIT_MESSAGE = 'Deposit to your site balance. Please accept this trade offer to receive credit.';
+
+// Round an amount to cents
+const toCents = (amount) => Math.round(amount * 100) / 100;
+
+// Value items at the current market price, falling back to the price stored with the item
+const valueItems = async (items) => {
+  let prices = {};
+  try {
+    prices = await getMarketPrices();
+  } catch (error) {
+    console.error('Failed to load market prices, using stored item prices:', error.message);
+  }
+
+  const value = items.reduce((acc, item) => {
+    const itemValue = prices[item.name] || parseFloat(item.price);
+    return acc + (isNaN(itemValue) ? 0 : itemValue);
+  }, 0);
+  const fee = toCents(value * depositFee / 100);
+
+  return { value: toCents(value), fee, credit: toCents(value - fee) };
+};
+
+// Credit the user once the bot has the items, at the price they are worth now
+const creditBalanceDeposit = async (record) => {
+  const items = await Item.find({ _id: { $in: record.items } });
+  const { value, fee, credit } = await valueItems(items);
+
+  // The items come in from Steam; the user is credited their value less the fee the house keeps
+  // Posting under the offer's reference makes sure an offer is only ever credited once
+  const transaction = await postTransaction({
+    reference: `skinDeposit:${record.offerId}`,
+    type: 'skinDeposit',
+    user: record.user,
+    amount: credit,
+    value,
+    fee,
+    items: record.items,
+    offerId: record.offerId,
+    entries: [
+      { account: 'steam', amount: -value },
+      { account: 'balance', user: record.user, amount: credit },
+      { account: 'house', amount: fee },
+    ],
+  });
+  if (!transaction) return;
+
+  const user = await User.findById(record.user).select('steamId balance');
+  console.log(`Balance deposit ${record.offerId} credited ${credit} (value ${value}, fee ${fee}).`);
+
+  if (user) {
+    io.emitToUser(user.steamId, 'balanceDeposit', {
+      offerId: record.offerId,
+      status: 'accepted',
+      transactionId: transaction._id,
+      credited: credit,
+      balance: user.balance,
+    });
+  }
+};
+
+// Credit accepted deposits; declined or expired ones only need the user told
+registerOfferHandler('balanceDeposit', {
+  onAccepted: (record) => creditBalanceDeposit(record),
+  onDeclined: async (record) => {
+    const user = await User.findById(record.user).select('steamId');
+    if (user) {
+      io.emitToUser(user.steamId, 'balanceDeposit', { offerId: record.offerId, status: record.state });
+    }
+  },
+});
+
+// Deposit skins for site balance instead of into a game
+// Body: { itemIds }
+const depositForBalance = async (req, res) => {
+  try {
+    const { itemIds } = req.body; // The depositing user comes from the JWT
+
+    // Validate items
+    if (!Array.isArray(itemIds) || itemIds.length === 0) {
+      return res.status(400).json({ error: 'Item IDs are required' });
+    }
+    const uniqueItemIds = [...new Set(itemIds.map(String))];
+
+    // Fetch the logged in user
+    const user = await User.findOne({ steamId: req.user.id });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    // Check if the user has a trade URL
+    const tradeUrl = user.tradeUrl;
+    if (!tradeUrl) {
+      return res.json({
+        msg: 'User does not have a Steam Trade URL. Please update your profile.',
+        tradeUrl: false
+      });
+    }
+
+    // Fetch the items; every one of them must belong to the user
+    const items = await Item.find({ _id: { $in: uniqueItemIds }, owner: user._id });
+    if (items.length === 0) return res.status(404).json({ error: 'No items found' });
+    if (items.length !== uniqueItemIds.length) {
+      return res.status(403).json({ error: 'Some of these items do not belong to you.', code: 'ITEM_NOT_OWNED' });
+    }
+
+    // The final credit uses the prices at acceptance; this is what the user can expect
+    const estimate = await valueItems(items);
+    if (estimate.credit <= 0) {
+      return res.status(400).json({ error: 'These items have no market value.', code: 'DEPOSIT_TOO_LOW' });
+    }
+
+    // Keep the items out of other offers while this one is pending
+    const lockId = await lockItems(items.map(item => item._id), user._id);
+    if (!lockId) {
+      return res.status(409).json({
+        error: 'Some of these items are already in a pending trade offer.',
+        code: 'ITEMS_LOCKED'
+      });
+    }
+
+    let tradeData;
+    try {
+      tradeData = await sendTradeOfferToUser(tradeUrl, items, 1, BALANCE_DEPOSIT_MESSAGE);
+      await assignLock(lockId, tradeData.offerId);
+
+      // An offer that cannot be tracked is cancelled and reported as failed
+      await trackTradeOffer(tradeData.offerId, {
+        bot: tradeData.botId,
+        type: 'deposit',
+        purpose: 'balanceDeposit',
+        user: user._id,
+        items: items.map(item => item._id),
+        expiresAt: new Date(Date.now() + depositOfferWindow * 1000),
+      });
+    } catch (error) {
+      await unlockItems(lockId);
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: 'Trade offer sent. Please accept the offer to receive balance.',
+      tradeOfferUrl: tradeData.offerUrl,
+      estimate: { ...estimate, feePercentage: depositFee },
+    });
+  } catch (error) {
+    console.error('Error depositing for balance:', error);
+    sendTradeError(res, error);
+  }
+};
+
+// Get the logged in user's balance and latest transactions
+const getBalance = async (req, res) => {
+  try {
+    const user = await User.findOne({ steamId: req.user.id });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const transactions = await Transaction.find({ user: user._id })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.status(200).json({ balance: user.balance, transactions });
+  } catch (error) {
+    console.error('Error fetching balance:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  depositForBalance,
+  getBalance,
+};
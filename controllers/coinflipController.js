@@ -0,0 +1,372 @@
+const Coinflip = require('../models/coinflipSchema');
+const Item = require('../models/itemSchema');
+const User = require('../models/userSchema');
+const io = require('../socket');
+const coinflipManager = require('../coinflipManager');
+const { valueTolerance, depositOfferWindow } = require('../config/coinflip');
+const { sendTradeOfferToUser, registerOfferHandler, trackTradeOffer } = require('../utils/tradeOffers');
+const { sendTradeError } = require('../utils/tradeErrors');
+const { lockItems, assignLock, unlockItems } = require('../utils/itemLocks');
+const { queuePayout } = require('../payoutManager');
+
+const COINFLIP_DEPOSIT_MESSAGE = `
+Welcome to JuicySkins! 🍊You're about to flip a coin with your awesome skins. Good luck!
+🔥 Your items are safe with us.
+Don't forget to accept the trade offer to enter the coinflip!
+JuicySkins Team
+`;
+
+// Calculate the total value of a list of items
+const getItemsValue = (items) => items.reduce((acc, item) => {
+  const itemValue = parseFloat(item.price);
+  return acc + (isNaN(itemValue) ? 0 : itemValue);
+}, 0);
+
+// Load the logged in user and the items they want to deposit; every item must belong to the user
+const loadDeposit = async (req, res) => {
+  const { itemIds } = req.body;
+
+  if (!Array.isArray(itemIds) || itemIds.length === 0) {
+    res.status(400).json({ error: 'Item IDs are required' });
+    return null;
+  }
+  const uniqueItemIds = [...new Set(itemIds.map(String))];
+
+  const user = await User.findOne({ steamId: req.user.id });
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+
+  if (!user.tradeUrl) {
+    res.json({
+      msg: 'User does not have a Steam Trade URL. Please update your profile.',
+      tradeUrl: false
+    });
+    return null;
+  }
+
+  const items = await Item.find({ _id: { $in: uniqueItemIds }, owner: user._id });
+  if (items.length === 0) {
+    res.status(404).json({ error: 'No items found' });
+    return null;
+  }
+  if (items.length !== uniqueItemIds.length) {
+    res.status(403).json({ error: 'Some of these items do not belong to you.', code: 'ITEM_NOT_OWNED' });
+    return null;
+  }
+
+  return { user, items, value: getItemsValue(items) };
+};
+
+// Keep a deposit's items out of other offers while its offer is pending
+// Responds with ITEMS_LOCKED and resolves with null when an item is already in another offer
+const lockDeposit = async (res, user, items) => {
+  const lockId = await lockItems(items.map(item => item._id), user._id);
+  if (!lockId) {
+    res.status(409).json({
+      error: 'Some of these items are already in a pending trade offer.',
+      code: 'ITEMS_LOCKED'
+    });
+  }
+  return lockId;
+};
+
+// Create a coinflip lobby
+const createCoinflip = async (req, res) => {
+  try {
+    const { side } = req.body;
+    if (!['heads', 'tails'].includes(side)) {
+      return res.status(400).json({ error: "Side must be 'heads' or 'tails'" });
+    }
+
+    const deposit = await loadDeposit(req, res);
+    if (!deposit) return;
+    const { user, items, value } = deposit;
+
+    const lockId = await lockDeposit(res, user, items);
+    if (!lockId) return;
+
+    let createdCoinflipId = null;
+    try {
+      const tradeData = await sendTradeOfferToUser(user.tradeUrl, items, 1, COINFLIP_DEPOSIT_MESSAGE);
+      await assignLock(lockId, tradeData.offerId);
+
+      // The lobby opens once the creator accepts the deposit offer
+      const coinflip = new Coinflip({
+        creator: {
+          user: user._id,
+          items: items.map(item => item._id),
+          value,
+          offerId: tradeData.offerId,
+        },
+        creatorSide: side,
+        totalValue: value,
+        status: 'pending',
+      });
+      await coinflip.save();
+      createdCoinflipId = coinflip._id;
+
+      // An offer that cannot be tracked is cancelled and reported as failed
+      await trackTradeOffer(tradeData.offerId, {
+        bot: tradeData.botId,
+        purpose: 'coinflipCreate',
+        user: user._id,
+        items: items.map(item => item._id),
+        coinflip: coinflip._id,
+        expiresAt: new Date(Date.now() + depositOfferWindow * 1000),
+      });
+
+      res.json({
+        success: true,
+        message: 'Trade offer sent. Please accept the offer to open the coinflip.',
+        coinflipId: coinflip._id,
+        tradeOfferUrl: tradeData.offerUrl,
+      });
+    } catch (err) {
+      console.error('Error sending trade offer:', err);
+      await unlockItems(lockId);
+      if (createdCoinflipId) await cancelCoinflip(createdCoinflipId);
+      return sendTradeError(res, err);
+    }
+  } catch (error) {
+    console.error('Error creating coinflip:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Open a lobby once the creator's deposit is accepted
+const openCoinflip = async (coinflipId) => {
+  try {
+    const coinflip = await Coinflip.findOneAndUpdate(
+      { _id: coinflipId, status: 'pending' },
+      { status: 'open' },
+      { new: true }
+    ).populate('creator.user', 'username avatar').populate('creator.items', 'name price iconUrl');
+
+    if (coinflip) {
+      io.getIO().emit('coinflipCreated', { coinflip });
+    }
+  } catch (error) {
+    console.error('Error opening coinflip:', error);
+    throw error;
+  }
+};
+
+// Cancel a lobby whose creator declined the deposit offer
+const cancelCoinflip = async (coinflipId) => {
+  try {
+    const coinflip = await Coinflip.findOneAndUpdate(
+      { _id: coinflipId, status: 'pending' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+
+    if (coinflip) {
+      io.getIO().emit('coinflipCancelled', { coinflipId });
+    }
+  } catch (error) {
+    console.error('Error cancelling coinflip:', error);
+    throw error;
+  }
+};
+
+// Join an open coinflip lobby
+const joinCoinflip = async (req, res) => {
+  try {
+    const deposit = await loadDeposit(req, res);
+    if (!deposit) return;
+    const { user, items, value } = deposit;
+
+    const coinflip = await Coinflip.findById(req.params.coinflipId);
+    if (!coinflip) return res.status(404).json({ error: 'Coinflip not found' });
+    if (coinflip.status !== 'open') {
+      return res.status(409).json({ error: 'Coinflip is not open', code: 'COINFLIP_NOT_OPEN' });
+    }
+    if (coinflip.creator.user.toString() === user._id.toString()) {
+      return res.status(400).json({ error: 'You cannot join your own coinflip', code: 'OWN_COINFLIP' });
+    }
+
+    // The joiner's deposit must be worth about the same as the creator's
+    const minValue = coinflip.creator.value * (1 - valueTolerance);
+    const maxValue = coinflip.creator.value * (1 + valueTolerance);
+    if (value < minValue || value > maxValue) {
+      return res.status(400).json({
+        error: `Your deposit must be worth between $${minValue.toFixed(2)} and $${maxValue.toFixed(2)}.`,
+        code: 'VALUE_OUT_OF_RANGE'
+      });
+    }
+
+    // Reserve the lobby so nobody else can join while the offer is pending
+    const reserved = await Coinflip.findOneAndUpdate(
+      { _id: coinflip._id, status: 'open' },
+      {
+        status: 'joining',
+        joiner: { user: user._id, items: items.map(item => item._id), value },
+      },
+      { new: true }
+    );
+    if (!reserved) {
+      return res.status(409).json({ error: 'Coinflip is not open', code: 'COINFLIP_NOT_OPEN' });
+    }
+
+    const lockId = await lockDeposit(res, user, items);
+    if (!lockId) {
+      await reopenCoinflip(coinflip._id);
+      return;
+    }
+
+    try {
+      const tradeData = await sendTradeOfferToUser(user.tradeUrl, items, 1, COINFLIP_DEPOSIT_MESSAGE);
+      await assignLock(lockId, tradeData.offerId);
+      await Coinflip.updateOne({ _id: coinflip._id }, { 'joiner.offerId': tradeData.offerId });
+
+      // An offer that cannot be tracked is cancelled and reported as failed
+      await trackTradeOffer(tradeData.offerId, {
+        bot: tradeData.botId,
+        purpose: 'coinflipJoin',
+        user: user._id,
+        items: items.map(item => item._id),
+        coinflip: coinflip._id,
+        expiresAt: new Date(Date.now() + depositOfferWindow * 1000),
+      });
+
+      res.json({
+        success: true,
+        message: 'Trade offer sent. Please accept the offer to flip the coin.',
+        tradeOfferUrl: tradeData.offerUrl,
+      });
+
+      io.getIO().emit('coinflipJoining', {
+        coinflipId: coinflip._id,
+        joiner: { id: user._id, username: user.username, avatar: user.avatar, value },
+      });
+    } catch (err) {
+      console.error('Error sending trade offer:', err);
+      await unlockItems(lockId);
+      await reopenCoinflip(coinflip._id);
+      return sendTradeError(res, err);
+    }
+  } catch (error) {
+    console.error('Error joining coinflip:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Reopen a lobby whose joiner did not deposit
+const reopenCoinflip = async (coinflipId) => {
+  try {
+    const coinflip = await Coinflip.findOneAndUpdate(
+      { _id: coinflipId, status: 'joining' },
+      { status: 'open', $unset: { joiner: 1 } },
+      { new: true }
+    );
+
+    if (coinflip) {
+      io.getIO().emit('coinflipReopened', { coinflipId });
+    }
+  } catch (error) {
+    console.error('Error reopening coinflip:', error);
+    throw error;
+  }
+};
+
+// Close an open lobby nobody joined and send the creator's items back
+const cancelOpenCoinflip = async (req, res) => {
+  try {
+    const user = await User.findOne({ steamId: req.user.id });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    // Only the creator can cancel, and only while nobody is joining
+    const coinflip = await Coinflip.findOneAndUpdate(
+      { _id: req.params.coinflipId, 'creator.user': user._id, status: 'open' },
+      { status: 'cancelled', completedAt: new Date() },
+      { new: true }
+    );
+    if (!coinflip) {
+      const exists = await Coinflip.exists({ _id: req.params.coinflipId, 'creator.user': user._id });
+      if (!exists) return res.status(404).json({ error: 'Coinflip not found' });
+      return res.status(409).json({ error: 'Coinflip is not open', code: 'COINFLIP_NOT_OPEN' });
+    }
+
+    await queuePayout({ coinflip: coinflip._id }, user._id, coinflip.creator.items, 'refund');
+    io.getIO().emit('coinflipCancelled', { coinflipId: coinflip._id });
+
+    res.json({ success: true, message: 'Coinflip cancelled. Your items will be sent back.' });
+  } catch (error) {
+    console.error('Error cancelling coinflip:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Open or cancel a lobby once the creator's deposit offer ends
+registerOfferHandler('coinflipCreate', {
+  onAccepted: (record) => openCoinflip(record.coinflip),
+  onDeclined: (record) => cancelCoinflip(record.coinflip),
+});
+
+// Flip the coin once the joiner's deposit is accepted, otherwise reopen the lobby
+registerOfferHandler('coinflipJoin', {
+  onAccepted: (record) => coinflipManager.settleCoinflip(record.coinflip),
+  onDeclined: (record) => reopenCoinflip(record.coinflip),
+});
+
+// Get the lobbies that are open or waiting for a joiner's deposit
+const getCoinflips = async (req, res) => {
+  try {
+    const coinflips = await Coinflip.find({ status: { $in: ['open', 'joining'] } })
+      .sort({ createdAt: -1 })
+      .populate({
+        path: 'creator.user joiner.user',
+        select: 'username steamId avatar',
+      })
+      .populate({
+        path: 'creator.items joiner.items',
+        select: 'name price iconUrl',
+      });
+
+    res.json(coinflips);
+  } catch (error) {
+    console.error('Error fetching coinflips:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get coinflips completed in the last 24 hours
+const getCoinflipHistory = async (req, res) => {
+  try {
+    const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    const coinflips = await Coinflip.find({
+      status: 'completed',
+      completedAt: { $gte: twentyFourHoursAgo },
+    })
+      .select('+serverSeed') // Completed coinflips reveal their server seed
+      .sort({ completedAt: -1 })
+      .populate({
+        path: 'creator.user joiner.user',
+        select: 'username steamId avatar',
+      })
+      .populate({
+        path: 'creator.items joiner.items',
+        select: 'name price iconUrl',
+      })
+      .populate({
+        path: 'winner',
+        select: 'username avatar',
+      });
+
+    res.status(200).json(coinflips);
+  } catch (error) {
+    console.error('Error fetching coinflip history:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createCoinflip,
+  joinCoinflip,
+  cancelOpenCoinflip,
+  getCoinflips,
+  getCoinflipHistory,
+};
@@ -1,151 +1,97 @@
 const Jackpot = require('../models/jackpotSchema');
+const Payout = require('../models/payoutSchema');
 const Item = require('../models/itemSchema');
 const User = require('../models/userSchema');
 const io = require('../socket');
+const { queuePayout } = require('../payoutManager');
+const { lateDepositPolicy, depositOfferExpiry } = require('../config/jackpot');
 const jackpotManager = require('../jackpotManager');
 const generateRandomColor = require('../utils/randcolor');
-const { manager, loginToSteam, tradeResponseErrors } = require('../steamTradeBot'); // Import trade bot manager
-const SteamTradeManager = require('steam-tradeoffer-manager');
-
-const sendTradeOfferToUser = async (tradeUrl, items, attempt = 1) => {
-  const MAX_RETRY_ATTEMPTS = 1;
-
-  const tradeOffer = manager.createOffer(tradeUrl); // Use the user's Trade URL directly
-  
-  // Add the items the bot is requesting from the user
-  items.forEach(item => {
-    tradeOffer.addTheirItem({
-      assetid: item.assetId,
-      appid: item.appId,
-      contextid: '2', // Context ID (typically '2' for CS:GO)
-    });
-  });
+const { hashServerSeed, buildClientSeed, drawWinningTicket } = require('../utils/provablyFair');
+const { roomFilter } = require('../config/rooms');
+const { sendTradeOfferToUser, verifyTradeUrl, registerOfferHandler, trackTradeOffer } = require('../utils/tradeOffers');
+const { parseTradeUrl } = require('../utils/tradeUrl');
+const { sendTradeError } = require('../utils/tradeErrors');
+const { lockItems, assignLock, unlockItems } = require('../utils/itemLocks');
+const { changeCooldown: tradeUrlCooldown } = require('../config/tradeUrl');
+
+// Find or create a room's current jackpot (waiting or in-progress)
+const findOrCreateActiveJackpot = async (roomName) => {
+  let jackpot = await Jackpot.findOne({ room: roomFilter(roomName), status: { $in: ['in_progress', 'waiting'] } });
+  if (!jackpot) {
+    jackpot = new Jackpot({ room: roomName, status: 'waiting', totalValue: 0, participants: [] });
+    await jackpot.save();
+  }
+  return jackpot;
+};
 
-  tradeOffer.setMessage(`
-Welcome to JuicySkins! 🍊You're about to join the jackpot with your awesome skins. Good luck!
-🔥 Your items are safe with us. 
-💎 The jackpot is heating up, so get ready to win big!
-Don't forget to accept the trade offer and join the fun!
-JuicySkins Team
-`);
-  console.log(tradeOffer);
-  
-  // Send the trade offer and return its ID and URL
-  return new Promise((resolve, reject) => {
-    tradeOffer.send(async (err, status) => {
-      if (err) {
-        console.error('Failed to send trade offer:', typeof(err.message));
-        console.error('Failed to send trade offer:', err.eresult);
-        console.error('Failed to send trade offer:', err.name);
-        console.error('Failed to send trade offer:', err.stack);
-        console.error('Failed to send trade offer:', err.cause);
-
-        // Check if the error is a critical error that requires re-login
-        if (tradeResponseErrors.includes(err.message)) {
-          console.log(`Critical error encountered. Retrying trade offer attempt ${attempt}...`);
-
-          // Retry the offer after re-login
-          if (attempt <= MAX_RETRY_ATTEMPTS) {
-            try {
-              // Trigger re-login if the error message is "Not Logged In"
-              if (err.message === "Not Logged In") {
-                await loginToSteam();  // Trigger the login process (reuse your login function)
-                sendTradeOfferToUser(tradeUrl, items, attempt + 1) // Retry sending the trade offer
-                  .then(resolve)
-                  .catch(reject);
-              } else if (err.message === "Trade Banned Target") {
-                // Handle Trade Banned Target error
-                const errorResponse = {
-                  success: false,
-                  error: "Trade Banned Target",
-                  message: "The target is trade banned. Cannot send trade offer.",
-                  code: "TRADE_BANNED_TARGET"
-                };
-                reject(errorResponse); // Reject with structured error object
-              }
-            } catch (loginError) {
-              console.error('Re-login failed, retrying trade offer failed.', loginError);
-              const errorResponse = {
-                success: false,
-                error: "Login Failure",
-                message: "Re-login failed, retrying trade offer failed.",
-                code: "LOGIN_FAILURE"
-              };
-              reject(errorResponse); // Reject with structured error object
-            }
-          } else {
-            console.error('Max retry attempts reached. Could not send trade offer.');
-            const errorResponse = {
-              success: false,
-              error: "Server Error",
-              message: "There is problem with the server please try again",
-              code: "MAX_RETRY_ATTEMPTS"
-            };
-            reject(errorResponse); // Reject with structured error object
-          }
-        } else {
-          // If not a critical error, just reject the promise with structured error
-          const errorResponse = {
-            success: false,
-            error: "Unknown Error",
-            message: err.message,
-            code: "UNKNOWN_ERROR"
-          };
-          reject(errorResponse);
-        }
-      } else {
-        console.log(`Trade offer sent to user with status: ${status}`);
-        resolve({
-          success: true,
-          offerId: tradeOffer.id,
-          offerUrl: `https://steamcommunity.com/tradeoffer/${tradeOffer.id}`, // Trade offer URL
-        });
-      }
+// Broadcast the deposits of a jackpot that are waiting for trade acceptance
+const emitPendingDeposits = async (jackpotId) => {
+  const jackpot = await Jackpot.findById(jackpotId)
+    .populate({
+      path: 'pendingDeposits.user',
+      select: 'username avatar',
+    })
+    .populate({
+      path: 'pendingDeposits.items',
+      select: 'name price iconUrl',
     });
+  if (!jackpot) return;
+
+  jackpotManager.emitToRoom(jackpot.room, 'pendingDeposits', {
+    jackpotId: jackpot._id,
+    pendingDeposits: jackpot.pendingDeposits,
   });
 };
 
+// A deposit offer stays open for the rest of the round plus a grace period
+const getDepositOfferExpiry = (jackpot) => {
+  if (jackpot.status === 'in_progress' && jackpot.roundEndsAt) {
+    return new Date(jackpot.roundEndsAt.getTime() + depositOfferExpiry.grace * 1000);
+  }
+  return new Date(Date.now() + depositOfferExpiry.window * 1000);
+};
 
-// Track trade offer acceptance
-const trackTradeOffer = (offerId, userId, itemIds, jackpotId) => {
-  manager.getOffer(offerId, async (err, offer) => {
-    if (err) {
-      console.error(`Failed to get offer: ${err}`);
-      return;
-    }
-
-    // Poll for trade acceptance status
-    const pollTradeStatus = setInterval(async () => {
-      offer.update(async (err) => {
-        if (err) {
-          console.error(`Failed to update offer status: ${err}`);
-          return;
-        }
-
-        // If the trade is accepted, update the jackpot and allow the user to join
-        if (offer.state === SteamTradeManager.ETradeOfferState.Accepted) {
-          clearInterval(pollTradeStatus);
-          console.log(`Trade offer ${offer.id} was accepted!`);
-          
-          // Add user to jackpot with items
-          await addUserToJackpot(userId, itemIds, jackpotId);
-
-        } else if (offer.state === SteamTradeManager.ETradeOfferState.Declined) {
-          clearInterval(pollTradeStatus);
-          console.log(`Trade offer ${offer.id} was declined.`);
-          // Optionally handle declined trade
-        }
-      });
-    }, 5000); // Poll every 5 seconds
-  });
+// Drop a pending deposit whose trade offer was declined or expired
+const removePendingDeposit = async (jackpotId, offerId) => {
+  try {
+    await Jackpot.updateOne({ _id: jackpotId }, { $pull: { pendingDeposits: { offerId } } });
+    await emitPendingDeposits(jackpotId);
+  } catch (error) {
+    console.error('Error removing pending deposit:', error);
+    throw error;
+  }
 };
 
+// Add an accepted deposit to a round, only while the round takes deposits: it is waiting or
+// in progress, and its timer has not run out (endRound may not have claimed it yet)
+// Resolves with the updated jackpot, or null if the round no longer takes deposits
+const pushDeposit = (jackpotId, participant, value, offerId) => Jackpot.findOneAndUpdate(
+  {
+    _id: jackpotId,
+    status: { $in: ['waiting', 'in_progress'] },
+    $or: [{ roundEndsAt: null }, { roundEndsAt: { $gt: new Date() } }],
+  },
+  {
+    $push: { participants: participant },
+    $inc: { totalValue: value },
+    $pull: { pendingDeposits: { offerId } },
+  },
+  { new: true }
+);
+
 // Function to add user to jackpot
-const addUserToJackpot = async (userId, itemIds, jackpotId) => {
+const addUserToJackpot = async (userId, itemIds, jackpotId, offerId) => {
   try {
     console.log(userId,itemIds,jackpotId);
     
-    const jackpot = await Jackpot.findById(jackpotId);
+    let jackpot = await Jackpot.findById(jackpotId);
+
+    // An offer handled again after a failure may already be in a round
+    if (await Jackpot.exists({ 'participants.offerId': offerId })) {
+      console.log(`Deposit ${offerId} is already in a jackpot.`);
+      return;
+    }
 
     // Fetch the user and items
     const user = await User.findById(userId);
@@ -158,17 +104,61 @@ const addUserToJackpot = async (userId, itemIds, jackpotId) => {
     }, 0);
 
     // Assign random color for user in the jackpot
-    const randomColor = generateRandomColor();
-
-    // Add user to jackpot
-    jackpot.participants.push({
+    const participant = {
       user: user._id,
       items: items.map(item => item._id),
-      color: randomColor,
+      color: generateRandomColor(),
+      offerId,
+    };
+
+    const closedJackpotId = jackpot._id;
+
+    // An offer handled again after a failure may already have its late deposit refund queued
+    const refundQueued = await Payout.exists({
+      jackpot: closedJackpotId,
+      type: 'refund',
+      items: { $in: items.map(item => item._id) },
     });
 
-    jackpot.totalValue += totalValue;
+    const refundLateDeposit = async () => {
+      if (!refundQueued) {
+        await queuePayout({ jackpot: closedJackpotId }, user, items, 'refund');
+      }
+      io.emitToUser(user.steamId, 'lateDeposit', {
+        jackpotId: closedJackpotId,
+        action: 'refunded',
+        message: 'The round closed before your deposit was accepted. Your items are being refunded.',
+      });
+      console.log(`Late deposit ${offerId} refunded.`);
+    };
+
+    // Add user to jackpot, unless the round closed before the offer was accepted
+    let updated = refundQueued ? null : await pushDeposit(jackpot._id, participant, totalValue, offerId);
+    if (!updated) {
+      await removePendingDeposit(closedJackpotId, offerId);
+
+      if (lateDepositPolicy === 'refund' || refundQueued) {
+        await refundLateDeposit();
+        return;
+      }
 
+      const nextJackpot = await findOrCreateActiveJackpot(jackpot.room);
+      updated = await pushDeposit(nextJackpot._id, participant, totalValue, offerId);
+      if (!updated) {
+        // The next round is closing as well
+        await refundLateDeposit();
+        return;
+      }
+
+      io.emitToUser(user.steamId, 'lateDeposit', {
+        jackpotId: closedJackpotId,
+        action: 'rolled_over',
+        newJackpotId: updated._id,
+        message: 'The round closed before your deposit was accepted. Your items were moved into the next round.',
+      });
+      console.log(`Late deposit ${offerId} rolled over into jackpot ${updated._id}.`);
+    }
+    jackpot = updated;
 
     // Update jackpot status to 'in_progress' if criteria met
     if (jackpot.status === 'waiting') {
@@ -183,11 +173,23 @@ const addUserToJackpot = async (userId, itemIds, jackpotId) => {
         // Optional: Log unique user IDs for debugging
         console.log('Unique Participants IDs:', Array.from(uniqueUserIds));
         
-        // Step 4: Update jackpot status to 'in_progress'
-        jackpot.status = 'in_progress';
-        
-        // Step 5: Start the round timer
-        jackpotManager.startRoundTimer();
+        // Step 4: Update jackpot status to 'in_progress' and start the round timer
+        jackpot = (await jackpotManager.startRound(jackpot)) || jackpot;
+      } else if (!jackpot.waitingExpiresAt) {
+        // Cancel and refund if nobody else joins in time
+        jackpotManager.startWaitingTimer(jackpot);
+        await Jackpot.updateOne(
+          { _id: jackpot._id, status: 'waiting' },
+          { waitingExpiresAt: jackpot.waitingExpiresAt }
+        );
+      }
+    } else if (jackpot.status === 'in_progress') {
+      // Late deposits push the end of the round back (anti-snipe)
+      if (jackpotManager.extendRound(jackpot)) {
+        await Jackpot.updateOne(
+          { _id: jackpot._id, status: 'in_progress' },
+          { extensions: jackpot.extensions, roundEndsAt: jackpot.roundEndsAt }
+        );
       }
     }
     // if (jackpot.participants.length >= 2 && jackpot.status === 'waiting') {
@@ -199,44 +201,49 @@ const addUserToJackpot = async (userId, itemIds, jackpotId) => {
     //   jackpotManager.startRoundTimer();
     // }
 
-    // Save the jackpot
-    await jackpot.save();
     // // Remove items from user's inventory
     user.inventory = user.inventory.filter(
       (itemId) => !itemIds.includes(itemId.toString())
     );
     await user.save();
 
-    // Notify clients via Socket.io
-    io.getIO().emit('participants', {
+    // Notify clients in the jackpot's room via Socket.io
+    jackpotManager.emitToRoom(jackpot.room, 'participants', {
       participants: jackpot.participants,
     });
+    await emitPendingDeposits(jackpot._id);
 
     console.log('User successfully added to jackpot.');
 
   } catch (error) {
     console.error('Error adding user to jackpot:', error);
+    throw error; // Leaves the offer unhandled, so it is handled again
   }
 };
 
+// Add accepted deposits to their jackpot, drop the ones that were declined
+registerOfferHandler('jackpotDeposit', {
+  onAccepted: (record) => addUserToJackpot(record.user, record.items, record.jackpot, record.offerId),
+  onDeclined: (record) => removePendingDeposit(record.jackpot, record.offerId),
+});
+
 const joinJackpot = async (req, res) => {
   try {
-    const { userId, itemIds } = req.body; // Accept only userId and itemIds from the request
+    const { itemIds } = req.body; // The depositing user comes from the JWT
 
-    // Validate user and items
-    if (!userId || !itemIds || itemIds.length === 0) {
-      return res.status(400).json({ error: 'User ID and item IDs are required' });
+    // Validate items
+    if (!Array.isArray(itemIds) || itemIds.length === 0) {
+      return res.status(400).json({ error: 'Item IDs are required' });
     }
+    const uniqueItemIds = [...new Set(itemIds.map(String))];
 
-    // Find or create the current jackpot (waiting or in-progress)
-    let jackpot = await Jackpot.findOne({ status: { $in: ['in_progress', 'waiting'] } });
-    if (!jackpot) {
-      jackpot = new Jackpot({ status: 'waiting', totalValue: 0, participants: [] });
-      await jackpot.save();
-    }
+    const room = req.room;
 
-    // Fetch the user
-    const user = await User.findById(userId);
+    // Find or create the room's current jackpot (waiting or in-progress)
+    const jackpot = await findOrCreateActiveJackpot(room.name);
+
+    // Fetch the logged in user
+    const user = await User.findOne({ steamId: req.user.id });
     if (!user) return res.status(404).json({ error: 'User not found' });
 
     // Check if the user has a trade URL
@@ -248,13 +255,70 @@ const joinJackpot = async (req, res) => {
       });
     }
 
-    // Fetch the items
-    const items = await Item.find({ _id: { $in: itemIds } });
+    // Fetch the items; every one of them must belong to the user
+    const items = await Item.find({ _id: { $in: uniqueItemIds }, owner: user._id });
     if (items.length === 0) return res.status(404).json({ error: 'No items found' });
+    if (items.length !== uniqueItemIds.length) {
+      return res.status(403).json({ error: 'Some of these items do not belong to you.', code: 'ITEM_NOT_OWNED' });
+    }
+
+    // Enforce the room's stake limits
+    if (room.maxItemValue !== null && items.some(item => parseFloat(item.price) >= room.maxItemValue)) {
+      return res.status(400).json({
+        error: `Every item in the ${room.label} room must be worth less than $${room.maxItemValue}.`,
+        code: 'ITEM_VALUE_TOO_HIGH'
+      });
+    }
+    const depositValue = items.reduce((acc, item) => {
+      const itemValue = parseFloat(item.price);
+      return acc + (isNaN(itemValue) ? 0 : itemValue);
+    }, 0);
+    if (depositValue < room.minDeposit) {
+      return res.status(400).json({
+        error: `The minimum deposit in the ${room.label} room is $${room.minDeposit}.`,
+        code: 'DEPOSIT_TOO_LOW'
+      });
+    }
+
+    // Keep the items out of other offers while this one is pending
+    const lockId = await lockItems(items.map(item => item._id), user._id);
+    if (!lockId) {
+      return res.status(409).json({
+        error: 'Some of these items are already in a pending trade offer.',
+        code: 'ITEMS_LOCKED'
+      });
+    }
 
     // Send trade offer to the user using their Trade URL from the user schema
+    let tradeData;
+    let pendingOfferId = null;
     try {
-      const tradeData = await sendTradeOfferToUser(tradeUrl, items);
+      tradeData = await sendTradeOfferToUser(tradeUrl, items);
+      await assignLock(lockId, tradeData.offerId);
+
+      // Show the deposit in the pot until the offer is accepted or declined
+      // Recorded before the offer is tracked, so its acceptance always finds the entry to take out
+      await Jackpot.updateOne({ _id: jackpot._id }, {
+        $push: {
+          pendingDeposits: {
+            offerId: tradeData.offerId,
+            user: user._id,
+            items: items.map(item => item._id),
+            value: depositValue,
+          },
+        },
+      });
+      pendingOfferId = tradeData.offerId;
+
+      // Track trade offer; an offer that cannot be tracked is cancelled and reported as failed
+      await trackTradeOffer(tradeData.offerId, {
+        bot: tradeData.botId,
+        purpose: 'jackpotDeposit',
+        user: user._id,
+        items: items.map(item => item._id),
+        jackpot: jackpot._id,
+        expiresAt: getDepositOfferExpiry(jackpot),
+      });
 
       // If trade offer fails
       // if (!tradeData.success) {
@@ -283,25 +347,26 @@ const joinJackpot = async (req, res) => {
       //     });
       //   }
       // }
-
-      // If trade offer is successful
-      res.json({
-        success: true,
-        message: 'Trade offer sent. Please accept the offer to join the jackpot.',
-        tradeOfferUrl: tradeData.offerUrl,
-      });
-
-      // Track trade offer
-      if (tradeData.success) {
-        trackTradeOffer(tradeData.offerId, userId, itemIds, jackpot._id);
-      }
       // trackTradeOffer(tradeData.offerId, userId, itemIds, jackpot._id);
 
     } catch (err) {
       console.error('Error sending trade offer:', err);
-      return res.status(500).json({ error: err });
+      await unlockItems(lockId);
+      // removePendingDeposit logs its own failure; the trade error is what the user needs
+      if (pendingOfferId) await removePendingDeposit(jackpot._id, pendingOfferId).catch(() => {});
+      return sendTradeError(res, err);
     }
 
+    // If trade offer is successful
+    res.json({
+      success: true,
+      message: 'Trade offer sent. Please accept the offer to join the jackpot.',
+      tradeOfferUrl: tradeData.offerUrl,
+    });
+
+    // The deposit is recorded; only the pot display is left to update
+    emitPendingDeposits(jackpot._id).catch(err => console.error('Error emitting pending deposits:', err));
+
   } catch (error) {
     console.error('Error joining jackpot:', error);
     res.status(500).json({ error: error.message });
@@ -377,13 +442,21 @@ const joinJackpot = async (req, res) => {
 // Get Jackpot Status
 const getJackpotStatus = async (req, res) => {
   try {
-    // Find a jackpot that is either 'in_progress' or 'waiting'
-    let jackpot = await Jackpot.findOne({ status: { $in: ['in_progress', 'waiting'] } })
+    // Find the room's jackpot that is either 'in_progress' or 'waiting'
+    let jackpot = await Jackpot.findOne({ room: roomFilter(req.room.name), status: { $in: ['in_progress', 'waiting'] } })
       .populate({
         path: 'participants.user',
         select: '_id username email profileUrl avatar inventory', // Specify fields to include, _id is included by default
       })
       .populate('participants.items')
+      .populate({
+        path: 'pendingDeposits.user',
+        select: 'username avatar',
+      })
+      .populate({
+        path: 'pendingDeposits.items',
+        select: 'name price iconUrl',
+      })
       .populate('winner');
 
     // If no jackpot is found, return a 404 error
@@ -406,9 +479,11 @@ const getJackpotHistory = async (req, res) => {
     const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
     
     const jackpots = await Jackpot.find({
+      room: roomFilter(req.room.name),
       status: 'completed',
       createdAt: { $gte: twentyFourHoursAgo }, // Filter for jackpots created in the last 24 hours
     })
+      .select('+serverSeed') // Completed rounds reveal their server seed
       .populate({
         path: 'participants.user', // Populate the 'user' field within 'participants'
         select: 'username steamId avatar', // Select specific fields (optional)
@@ -437,7 +512,8 @@ const getJackpotHistory = async (req, res) => {
 
 const getLastFourJackpots = async (req, res) => {
   try {
-    const jackpots = await Jackpot.find({ status: 'completed' })
+    const jackpots = await Jackpot.find({ room: roomFilter(req.room.name), status: 'completed' })
+    .select('+serverSeed') // Completed rounds reveal their server seed
     .sort({ createdAt: -1 }) // Sort by creation date descending
     .limit(4)
     .populate({
@@ -458,6 +534,82 @@ const getLastFourJackpots = async (req, res) => {
   }
 };
 
+// Recompute the winner of a completed jackpot from its stored seeds and deposits
+const verifyJackpot = async (req, res) => {
+  try {
+    const jackpot = await Jackpot.findById(req.params.jackpotId)
+      .select('+serverSeed')
+      .populate({
+        path: 'participants.user',
+        select: 'username avatar',
+      })
+      .populate({
+        path: 'participants.items',
+        select: 'name price',
+      });
+
+    if (!jackpot) {
+      return res.status(404).json({ error: 'Jackpot not found' });
+    }
+
+    // Rounds drawn without a committed seed have nothing to verify
+    if (jackpot.unverifiable) {
+      return res.json({
+        jackpotId: jackpot._id,
+        status: jackpot.status,
+        revealed: false,
+        unverifiable: true,
+        message: 'This round was created before draws were provably fair and cannot be verified.',
+      });
+    }
+
+    // The server seed stays secret until the round is over
+    if (jackpot.status !== 'completed' || !jackpot.serverSeed || !jackpot.clientSeed) {
+      return res.json({
+        jackpotId: jackpot._id,
+        status: jackpot.status,
+        serverSeedHash: jackpot.serverSeedHash,
+        nonce: jackpot.nonce,
+        revealed: false,
+      });
+    }
+
+    const clientSeed = buildClientSeed(jackpot.participants);
+    const draw = drawWinningTicket(jackpot.participants, jackpot.serverSeed, clientSeed, jackpot.nonce);
+    const computedWinner = draw.winnerIndex >= 0 ? jackpot.participants[draw.winnerIndex].user : null;
+
+    const hashMatches = hashServerSeed(jackpot.serverSeed) === jackpot.serverSeedHash;
+    const clientSeedMatches = clientSeed === jackpot.clientSeed;
+    const winnerMatches = Boolean(
+      computedWinner && jackpot.winner && computedWinner._id.toString() === jackpot.winner.toString()
+    );
+
+    res.json({
+      jackpotId: jackpot._id,
+      status: jackpot.status,
+      revealed: true,
+      serverSeed: jackpot.serverSeed,
+      serverSeedHash: jackpot.serverSeedHash,
+      clientSeed,
+      nonce: jackpot.nonce,
+      totalTickets: draw.totalTickets,
+      winningTicket: draw.winningTicket,
+      ranges: jackpot.participants.map((participant, index) => ({
+        user: participant.user,
+        from: draw.ranges[index].from,
+        to: draw.ranges[index].to,
+      })),
+      computedWinner,
+      storedWinner: jackpot.winner,
+      valid: hashMatches && clientSeedMatches && winnerMatches && draw.winningTicket === jackpot.winningTicket,
+      checks: { hashMatches, clientSeedMatches, winnerMatches },
+    });
+  } catch (error) {
+    console.error('Error verifying jackpot:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
 const saveTradeUrl = async (req, res) => {
   try {
     const { tradeUrl } = req.body;
@@ -470,17 +622,59 @@ const saveTradeUrl = async (req, res) => {
       return res.status(400).json({ error: 'User ID and Trade URL are required.' });
     }
 
+    // The URL must be a well-formed trade URL of the logged in account
+    const parsed = parseTradeUrl(tradeUrl);
+    if (!parsed) {
+      return res.status(400).json({ error: 'This is not a valid Steam trade URL.', code: 'INVALID_TRADE_URL' });
+    }
+    if (parsed.steamId64 !== steamID64) {
+      return res.status(400).json({
+        error: 'This trade URL belongs to another Steam account.',
+        code: 'TRADE_URL_MISMATCH'
+      });
+    }
+
     // Find the user by ID
     const user = await User.findOne({ steamId: steamID64 });
     if (!user) {
       return res.status(404).json({ error: 'User not found.' });
     }
 
+    if (user.tradeUrl === parsed.tradeUrl) {
+      return res.status(200).json({ success: true, message: 'Trade URL is already up to date.' });
+    }
+
+    // Rate-limit changes of a saved trade URL
+    if (user.tradeUrl && user.tradeUrlUpdatedAt) {
+      const nextChangeAt = new Date(user.tradeUrlUpdatedAt.getTime() + tradeUrlCooldown * 1000);
+      if (nextChangeAt > new Date()) {
+        return res.status(429).json({
+          error: 'You changed your trade URL recently. Please wait before changing it again.',
+          code: 'TRADE_URL_COOLDOWN',
+          nextChangeAt
+        });
+      }
+    }
+
+    // Make sure Steam accepts the token before anything is sent to it
+    let tradeHold;
+    try {
+      tradeHold = await verifyTradeUrl(parsed.tradeUrl);
+    } catch (err) {
+      return sendTradeError(res, err);
+    }
+
     // Update the user's trade URL
-    user.tradeUrl = tradeUrl;
+    user.tradeUrl = parsed.tradeUrl;
+    user.tradeUrlUpdatedAt = new Date();
+    user.tradeHold = { escrowDays: tradeHold.escrowDays, checkedAt: new Date() };
     await user.save();
 
-    res.status(200).json({ success: true, message: 'Trade URL updated successfully.' });
+    res.status(200).json({
+      success: true,
+      message: 'Trade URL updated successfully.',
+      tradeHold: user.tradeHold
+    });
   } catch (error) {
     console.error('Error updating trade URL:', error);
     res.status(500).json({ error: 'Failed to update trade URL.' });
@@ -531,17 +725,12 @@ const getUserStatistics = async (req, res) => {
   }
 };
 
-
-
-
-
 module.exports = {
   joinJackpot,
   getJackpotStatus,
   getJackpotHistory,
   saveTradeUrl,
   getUserStatistics,
-  getLastFourJackpots
+  getLastFourJackpots,
+  verifyJackpot
 };
-
-
@@ -0,0 +1,86 @@
+const Item = require('../models/itemSchema');
+const User = require('../models/userSchema');
+const mockSteam = require('../adapters/mockSteamAdapter');
+
+// List the simulated trade offers, optionally filtered by state (e.g. ?state=Active)
+const getOffers = async (req, res) => {
+  res.status(200).json(mockSteam.getOffers(req.query.state));
+};
+
+// Move a simulated offer to a new state, as if the user had accepted or declined it
+// Body: { state } with an ETradeOfferState name such as 'Accepted', 'Declined' or 'Expired'
+const setOfferState = async (req, res) => {
+  const { offerId } = req.params;
+  if (!mockSteam.getOffers().some((offer) => offer.id === offerId)) {
+    return res.status(404).json({ error: 'Offer not found' });
+  }
+
+  try {
+    const offer = mockSteam.setOfferState(offerId, req.body.state);
+    res.status(200).json({ success: true, offer });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Show a simulated Steam inventory
+const getInventory = async (req, res) => {
+  res.status(200).json(mockSteam.getInventory(req.params.steamId));
+};
+
+// Give a user simulated Steam items and add them to their site inventory, ready to deposit
+// Body: { items: [{ name, price, iconUrl, tradable }] }
+const addUserItems = async (req, res) => {
+  try {
+    const { items } = req.body;
+    if (!Array.isArray(items) || items.length === 0 || items.some((item) => !item || !item.name)) {
+      return res.status(400).json({ error: 'Items must be a non-empty array of { name, price }.' });
+    }
+
+    const user = await User.findOne({ steamId: req.params.steamId });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    const steamItems = mockSteam.addItems(user.steamId, items);
+
+    const newItems = await Item.insertMany(steamItems.map((steamItem, index) => ({
+      name: steamItem.name,
+      iconUrl: items[index].iconUrl || 'mock',
+      price: String(items[index].price || 0),
+      tradable: steamItem.tradable,
+      owner: user._id,
+      assetId: steamItem.assetid,
+      appId: steamItem.appid,
+      contextId: Number(steamItem.contextid),
+    })));
+
+    user.inventory.push(...newItems.map((item) => item._id));
+    await user.save();
+
+    res.status(201).json({ success: true, items: newItems });
+  } catch (error) {
+    console.error('Error adding simulated items:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Give a simulated account a trade hold (0 lifts it)
+// Body: { escrowDays }
+const setEscrowDays = async (req, res) => {
+  const escrowDays = parseInt(req.body.escrowDays, 10);
+  if (Number.isNaN(escrowDays) || escrowDays < 0) {
+    return res.status(400).json({ error: 'escrowDays must be a number of days (0 or more).' });
+  }
+
+  mockSteam.setEscrowDays(req.params.steamId, escrowDays);
+  res.status(200).json({ success: true, escrowDays });
+};
+
+module.exports = {
+  getOffers,
+  setOfferState,
+  getInventory,
+  addUserItems,
+  setEscrowDays,
+};
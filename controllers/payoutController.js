@@ -0,0 +1,79 @@
+const Payout = require('../models/payoutSchema');
+const User = require('../models/userSchema');
+const { requeuePayout } = require('../payoutManager');
+
+// Get the logged in user's payouts
+const getUserPayouts = async (req, res) => {
+  try {
+    const user = await User.findOne({ steamId: req.user.id });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    const payouts = await Payout.find({ user: user._id })
+      .sort({ createdAt: -1 })
+      .populate({
+        path: 'items',
+        select: 'name price iconUrl',
+      });
+
+    res.status(200).json(
+      payouts.map((payout) => ({
+        _id: payout._id,
+        type: payout.type,
+        jackpotId: payout.jackpot,
+        coinflipId: payout.coinflip,
+        status: payout.status,
+        items: payout.items,
+        attempts: payout.attempts,
+        lastError: payout.lastError,
+        lastErrorCode: payout.lastErrorCode,
+        offerUrl: payout.offerId ? `https://steamcommunity.com/tradeoffer/${payout.offerId}` : null,
+        nextAttemptAt: payout.nextAttemptAt,
+        createdAt: payout.createdAt,
+        updatedAt: payout.updatedAt,
+      }))
+    );
+  } catch (error) {
+    console.error('Error fetching payouts:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Re-request a payout that failed or was escalated
+const requestPayout = async (req, res) => {
+  try {
+    const user = await User.findOne({ steamId: req.user.id });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    const payout = await Payout.findOne({ _id: req.params.payoutId, user: user._id });
+    if (!payout) {
+      return res.status(404).json({ error: 'Payout not found.' });
+    }
+
+    if (!['failed', 'escalated'].includes(payout.status)) {
+      return res.status(409).json({ error: `Payout is ${payout.status} and cannot be re-requested.` });
+    }
+
+    if (!user.tradeUrl) {
+      return res.status(400).json({
+        error: 'User does not have a Steam Trade URL. Please update your profile.',
+        tradeUrl: false,
+      });
+    }
+
+    await requeuePayout(payout);
+
+    res.status(200).json({ success: true, message: 'Payout re-requested.', status: payout.status });
+  } catch (error) {
+    console.error('Error re-requesting payout:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getUserPayouts,
+  requestPayout,
+};
@@ -0,0 +1,80 @@
+const User = require('../models/userSchema');
+const Withdrawal = require('../models/withdrawalSchema');
+const storeManager = require('../storeManager');
+const { sendTradeError } = require('../utils/tradeErrors');
+
+const MAX_WITHDRAWAL_ITEMS = 50;
+
+// List the bots' items that can be bought with site balance, at current market prices
+const getStoreItems = async (req, res) => {
+  try {
+    const items = await storeManager.getStoreItems();
+    res.status(200).json({ items });
+  } catch (error) {
+    console.error('Error listing store items:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Buy store items with the logged in user's balance and send them to the user
+// Body: { bot, assetIds } with the bot and asset IDs from the store listing
+const withdraw = async (req, res) => {
+  try {
+    const { bot } = req.body;
+    const assetIds = [...new Set((req.body.assetIds || []).map(String))];
+
+    if (!bot || assetIds.length === 0) {
+      return res.status(400).json({ error: 'Pick a bot and at least one of its items.' });
+    }
+    if (assetIds.length > MAX_WITHDRAWAL_ITEMS) {
+      return res.status(400).json({ error: `At most ${MAX_WITHDRAWAL_ITEMS} items can be withdrawn at once.` });
+    }
+
+    const user = await User.findOne({ steamId: req.user.id });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (!user.tradeUrl) {
+      return res.status(400).json({
+        error: 'User does not have a Steam Trade URL. Please update your profile.',
+        tradeUrl: false,
+      });
+    }
+
+    const withdrawal = await storeManager.withdraw(user, bot, assetIds);
+
+    res.status(200).json({
+      success: true,
+      withdrawalId: withdrawal._id,
+      total: withdrawal.total,
+      offerId: withdrawal.offerId,
+      offerUrl: `https://steamcommunity.com/tradeoffer/${withdrawal.offerId}`,
+    });
+  } catch (error) {
+    console.error('Error withdrawing store items:', error);
+    sendTradeError(res, error);
+  }
+};
+
+// Get the logged in user's withdrawals, newest first
+const getUserWithdrawals = async (req, res) => {
+  try {
+    const user = await User.findOne({ steamId: req.user.id });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const withdrawals = await Withdrawal.find({ user: user._id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .select('-active');
+
+    res.status(200).json({ balance: user.balance, withdrawals });
+  } catch (error) {
+    console.error('Error fetching withdrawals:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getStoreItems,
+  withdraw,
+  getUserWithdrawals,
+};
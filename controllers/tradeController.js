@@ -0,0 +1,87 @@
+const TradeOffer = require('../models/tradeOfferSchema');
+const User = require('../models/userSchema');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Offer states users can filter on (e.g. 'Active', 'Accepted', 'Declined')
+const offerStates = TradeOffer.schema.path('state').enumValues;
+
+// Offer types users can filter on ('deposit', 'payout', 'withdrawal')
+const offerTypes = TradeOffer.schema.path('type').enumValues;
+
+// Get the logged in user's deposit and payout offers, newest first
+// Query: page, limit, status (comma separated offer states), type ('deposit', 'payout' or 'withdrawal')
+const getUserTrades = async (req, res) => {
+  try {
+    const user = await User.findOne({ steamId: req.user.id });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const filter = { user: user._id };
+
+    if (req.query.status) {
+      const statuses = req.query.status.split(',').map((status) => status.trim()).filter(Boolean);
+      const unknown = statuses.filter((status) => !offerStates.includes(status));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: `Unknown status: ${unknown.join(', ')}. Valid statuses are ${offerStates.join(', ')}.`,
+        });
+      }
+      filter.state = { $in: statuses };
+    }
+
+    if (req.query.type) {
+      if (!offerTypes.includes(req.query.type)) {
+        return res.status(400).json({ error: `Type must be one of ${offerTypes.join(', ')}.` });
+      }
+      filter.type = req.query.type;
+    }
+
+    const [trades, total] = await Promise.all([
+      TradeOffer.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate({
+          path: 'items',
+          select: 'name price iconUrl',
+        }),
+      TradeOffer.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      trades: trades.map((trade) => ({
+        _id: trade._id,
+        offerId: trade.offerId,
+        offerUrl: `https://steamcommunity.com/tradeoffer/${trade.offerId}`,
+        type: trade.type,
+        status: trade.state,
+        items: trade.items,
+        jackpotId: trade.jackpot,
+        jackpotUrl: trade.jackpot ? `/jackpotSystem/verify/${trade.jackpot}` : null,
+        coinflipId: trade.coinflip,
+        payoutId: trade.payout,
+        withdrawalId: trade.withdrawal,
+        stateHistory: trade.stateHistory,
+        createdAt: trade.createdAt,
+        updatedAt: trade.updatedAt,
+      })),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error('Error fetching trades:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getUserTrades,
+};
@@ -9,9 +9,22 @@ const cors = require('cors');
 const cookieParser = require('cookie-parser');
 // const Message = require('./models/messageSchema'); // Removed
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 const User = require('./models/userSchema');
 const jackpotRoutes = require('./routes/jackpotRoutes');
+const coinflipRoutes = require('./routes/coinflipRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 const apiRoutes = require('./routes/apiRoutes'); // Import the new apiRoutes
+const jackpotManager = require('./jackpotManager');
+const payoutManager = require('./payoutManager');
+const reconciliationManager = require('./reconciliationManager');
+const storeManager = require('./storeManager');
+const ledgerManager = require('./ledgerManager');
+const { startOfferTracking } = require('./utils/tradeOffers');
+const { onBotStatus, startBots } = require('./steamTradeBot');
+const { adapter: steamAdapterName } = require('./config/bots');
+const { isAdminSteamId } = require('./config/admins');
+const { rooms, DEFAULT_ROOM, getRoom, roomChannel } = require('./config/rooms');
 const { generateToken } = require('./utils/genertaetoken');
 
 // Initialize the app
@@ -29,6 +42,7 @@ app.use(cors({
 
 // Socket.io setup
 const http = require('http').Server(app);
+const { userChannel, adminChannel, emitToAdmins } = require('./socket');
 const io = require('./socket').init(http, {
     cors: {
         origin: process.env.FRONTEND_URL,
@@ -124,13 +138,48 @@ app.use('/api', apiRoutes); // This combines both user and inventory routes
 // Use jackpot routes
 app.use('/jackpotSystem', jackpotRoutes);
 
+// Use coinflip routes
+app.use('/coinflip', coinflipRoutes);
+
+// Use admin routes
+app.use('/admin', adminRoutes);
+
+// Controls for the simulated Steam (accept offers, seed inventories) when running without real bots
+if (steamAdapterName === 'mock') {
+    app.use('/mock-steam', require('./routes/mockSteamRoutes'));
+}
+
 // Connect to MongoDB and start the server
 mongoose.connect(process.env.MONGO_DB_URI)
-    .then(() => {
+    .then(async () => {
+        // Record existing balances and statistics in the ledger (once) before anything posts to it
+        await ledgerManager.openLedger();
+
+        // Log the trade bots in (STEAM_ADAPTER=mock simulates Steam without any accounts)
+        startBots();
+
         http.listen(PORT, () => {
             console.log(`Server is running on http://localhost:${PORT}`);
         });
 
+        // Resume any round that was running when the server stopped
+        jackpotManager.recoverRounds();
+
+        // Give back the balance of store withdrawals that never got their offer
+        storeManager.recoverWithdrawals().catch(err => console.error('Error recovering withdrawals:', err));
+
+        // Follow trade offer state changes, including offers sent before a restart
+        startOfferTracking();
+
+        // Send and retry winner payouts
+        payoutManager.startPayoutWorker();
+
+        // Check the bots' inventories against the items the site thinks they hold
+        reconciliationManager.startReconciliationWorker();
+
+        // Keep admins up to date with the bots' health
+        onBotStatus(status => emitToAdmins('botStatus', status));
+
         // Initialize active user count
         let activeUsers = 0;
 
@@ -140,6 +189,24 @@ mongoose.connect(process.env.MONGO_DB_URI)
             activeUsers++;
             io.emit('activeUsers', activeUsers); // Emit to all clients
 
+            // Authenticated clients join their own room for personal notifications
+            const token = socket.handshake.auth && socket.handshake.auth.token;
+            if (token) {
+                jwt.verify(token, "somececret", (err, decoded) => {
+                    if (err) return;
+                    socket.join(userChannel(decoded.id));
+                    if (isAdminSteamId(decoded.id)) socket.join(adminChannel);
+                });
+            }
+
+            // Clients watch the default jackpot room until they pick another one
+            socket.join(roomChannel(DEFAULT_ROOM));
+            socket.on('joinRoom', (room) => {
+                if (!getRoom(room)) return;
+                Object.keys(rooms).forEach(name => socket.leave(roomChannel(name)));
+                socket.join(roomChannel(room));
+            });
+
             socket.on('disconnect', () => {
                 console.log('Client disconnected', socket.id);
                 activeUsers = Math.max(activeUsers - 1, 0);
@@ -189,12 +256,5 @@ mongoose.connect(process.env.MONGO_DB_URI)
         });
     })
     .catch(err => {
-        console.error('Database connection error:', err);
+        console.error('Error starting the server:', err);
     });
-
-
-
-
-
-
-
@@ -1,18 +1,24 @@
-
 // jackpotManager.js
 require('dotenv').config(); // Ensure this is at the top
 const Jackpot = require('./models/jackpotSchema');
+const Payout = require('./models/payoutSchema');
 const io = require('./socket');
-const weightedRandomSelection = require('./utils/weightedRandomSelection');
-const { manager } = require('./steamTradeBot'); // Import Steam trade bot manager
+const {
+  buildClientSeed,
+  drawWinningTicket,
+  drawUnverifiableTicket,
+} = require('./utils/provablyFair');
+const selectCommissionItems = require('./utils/commission');
+const { queuePayout } = require('./payoutManager');
+const { recordGameResult } = require('./ledgerManager');
 const User = require('./models/userSchema');
+const { rooms, DEFAULT_ROOM, roomFilter, roomChannel } = require('./config/rooms');
+const { antiSnipe, singlePlayerTimeout } = require('./config/jackpot');
 
 /**
  * Timer settings
  */
 let roundDuration = 120; // in seconds (adjust as needed)
-let roundStartTime = null;
-let timerInterval = null;
 
 /**
  * Spin settings
@@ -26,201 +32,307 @@ const spinStartDelay = 1000; // Delay before spin starts in milliseconds (e.g.,
 const timeBetweenRounds = 10000; // 10 seconds in milliseconds
 
 /**
- * Calculates the time left in the current round.
+ * Timer state per room: { roundEndTime, timerInterval, countdownInterval, waitingTimeout }
+ */
+const roomTimers = {};
+
+function getRoomTimer(room) {
+  if (!roomTimers[room]) {
+    roomTimers[room] = { roundEndTime: null, timerInterval: null, countdownInterval: null, waitingTimeout: null };
+  }
+  return roomTimers[room];
+}
+
+/**
+ * Emits an event to the clients watching a room.
+ * @param {string} room - Room name.
+ * @param {string} event - Event name.
+ * @param {Object} data - Event payload; the room name is added to it.
+ */
+function emitToRoom(room, event, data = {}) {
+  io.getIO().to(roomChannel(room)).emit(event, { ...data, room });
+}
+
+/**
+ * Calculates the time left in a room's current round.
+ * @param {string} room - Room name.
  * @returns {number} Time left in seconds.
  */
-function getTimeLeft() {
-  if (!roundStartTime) return roundDuration;
-  const elapsed = Math.floor((Date.now() - roundStartTime) / 1000);
-  return Math.max(roundDuration - elapsed, 0);
+function getTimeLeft(room = DEFAULT_ROOM) {
+  const { roundEndTime } = getRoomTimer(room);
+  if (!roundEndTime) return roundDuration;
+  return Math.max(Math.ceil((roundEndTime - Date.now()) / 1000), 0);
 }
 
 /**
- * Starts the round timer.
+ * Starts the round timer of the jackpot's room.
+ * Sets `roundStartedAt`/`roundEndsAt` on the jackpot when they are not set yet,
+ * otherwise resumes from the stored end time. The caller is responsible for saving the jackpot.
+ * @param {Object} jackpot - The jackpot document whose round is starting.
  */
-function startRoundTimer() {
-  if (timerInterval) {
-    clearInterval(timerInterval);
+function startRoundTimer(jackpot) {
+  const room = jackpot.room || DEFAULT_ROOM;
+  const timer = getRoomTimer(room);
+  if (timer.timerInterval) {
+    clearInterval(timer.timerInterval);
+  }
+  if (timer.waitingTimeout) {
+    clearTimeout(timer.waitingTimeout);
+    timer.waitingTimeout = null;
   }
 
-  roundStartTime = Date.now();
+  if (!jackpot.roundEndsAt) {
+    jackpot.roundStartedAt = new Date();
+    jackpot.roundEndsAt = new Date(jackpot.roundStartedAt.getTime() + roundDuration * 1000);
+  }
+  timer.roundEndTime = jackpot.roundEndsAt.getTime();
 
-  io.getIO().emit('timer', { timeLeft: roundDuration });
+  emitToRoom(room, 'timer', { timeLeft: getTimeLeft(room), endsAt: timer.roundEndTime });
 
-  timerInterval = setInterval(async () => {
-    const timeLeft = getTimeLeft();
-    io.getIO().emit('timer', { timeLeft });
+  timer.timerInterval = setInterval(async () => {
+    const timeLeft = getTimeLeft(room);
+    emitToRoom(room, 'timer', { timeLeft, endsAt: timer.roundEndTime });
 
     if (timeLeft <= 0) {
-      clearInterval(timerInterval);
-      roundStartTime = null;
-      timerInterval = null;
+      clearInterval(timer.timerInterval);
+      timer.roundEndTime = null;
+      timer.timerInterval = null;
       // End the round
-      await endRound();
+      await endRound(room);
     }
   }, 1000);
 }
 
 /**
- * Send trade offer with Promises
+ * Starts the round of a 'waiting' jackpot that has enough players, and its timer.
+ * The status changes atomically, so a round the single-player timeout cancelled meanwhile stays cancelled.
+ * @param {Object} jackpot - The waiting jackpot document.
+ * @returns {Promise<Object|null>} The running jackpot, or null if it was no longer waiting.
  */
-const sendTradeOffer = (offer) => {
-  return new Promise((resolve, reject) => {
-    offer.send((err, status) => {
-      if (err) {
-        console.error('Trade offer failed:', err);
-        return reject(new Error('Failed to send trade offer.'));
-      }
+async function startRound(jackpot) {
+  const roundStartedAt = new Date();
+  const started = await Jackpot.findOneAndUpdate(
+    { _id: jackpot._id, status: 'waiting' },
+    {
+      status: 'in_progress',
+      roundStartedAt,
+      roundEndsAt: new Date(roundStartedAt.getTime() + roundDuration * 1000),
+    },
+    { new: true }
+  );
+  if (started) {
+    startRoundTimer(started);
+  }
+  return started;
+}
 
-      if (status === 'pending') {
-        console.log('Trade offer sent, awaiting mobile confirmation.');
-      } else {
-        console.log('Trade offer sent successfully.');
+/**
+ * Starts the single-player timeout of a 'waiting' round that received its first deposit.
+ * Sets `waitingExpiresAt` on the jackpot when it is not set yet, otherwise resumes from it.
+ * The caller is responsible for saving the jackpot.
+ * @param {Object} jackpot - The waiting jackpot document.
+ */
+function startWaitingTimer(jackpot) {
+  const room = jackpot.room || DEFAULT_ROOM;
+  const timer = getRoomTimer(room);
+  if (timer.waitingTimeout) {
+    clearTimeout(timer.waitingTimeout);
+  }
+
+  if (!jackpot.waitingExpiresAt) {
+    jackpot.waitingExpiresAt = new Date(Date.now() + singlePlayerTimeout * 1000);
+  }
+
+  const jackpotId = jackpot._id;
+  timer.waitingTimeout = setTimeout(async () => {
+    timer.waitingTimeout = null;
+    try {
+      // Only cancel if nobody else joined in the meantime
+      const waiting = await Jackpot.findOne({ _id: jackpotId, status: 'waiting' });
+      if (waiting) {
+        await cancelRound(waiting, 'Not enough players joined the round.');
       }
+    } catch (error) {
+      console.error(`Error expiring waiting jackpot ${jackpotId}:`, error);
+    }
+  }, Math.max(jackpot.waitingExpiresAt.getTime() - Date.now(), 0));
+}
 
-      resolve(status);
-    });
+/**
+ * Applies the anti-snipe rule to a deposit accepted while the round is running:
+ * within the last `antiSnipe.window` seconds the end time is pushed back by
+ * `antiSnipe.extension` seconds, up to `antiSnipe.maxExtensions` times per round.
+ * The caller is responsible for saving the jackpot.
+ * @param {Object} jackpot - The jackpot document that received the deposit.
+ * @returns {boolean} Whether the round was extended.
+ */
+function extendRound(jackpot) {
+  const room = jackpot.room || DEFAULT_ROOM;
+  const timer = getRoomTimer(room);
+  const timeLeft = getTimeLeft(room);
+
+  // The round is already being drawn or the deposit is not late enough
+  if (!timer.timerInterval || timeLeft <= 0 || timeLeft > antiSnipe.window) return false;
+  if (jackpot.extensions >= antiSnipe.maxExtensions) return false;
+
+  jackpot.extensions += 1;
+  jackpot.roundEndsAt = new Date(jackpot.roundEndsAt.getTime() + antiSnipe.extension * 1000);
+  timer.roundEndTime = jackpot.roundEndsAt.getTime();
+
+  emitToRoom(room, 'timer', {
+    timeLeft: getTimeLeft(room),
+    endsAt: timer.roundEndTime,
+    extended: true,
+    extensionsLeft: antiSnipe.maxExtensions - jackpot.extensions,
   });
-};
+  console.log(`Round in room ${room} extended by ${antiSnipe.extension}s (extension ${jackpot.extensions}).`);
+
+  return true;
+}
 
 /**
- * Transfer items to the winner by matching item names.
+ * Counts down to a room's next round and creates the new 'waiting' jackpot.
+ * @param {string} room - Room name.
+ * @param {number} nextRoundStartTime - Timestamp (ms) at which the next round opens.
  */
-const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-const transferWinnings = async (winner, winnerItems) => {
-  try {
-    // Validate Winner's Trade URL
-    if (!winner.tradeUrl) {
-      throw new Error('Winner does not have a valid trade offer URL.');
-    }
-    console.log('Winner Items:', winnerItems);
-    console.log('.......................................');
-
-    // Fetch the bot's inventory contents
-    manager.getUserInventoryContents(
-      manager.steamID,
-      '252490',
-      '2',
-      false,
-      async (err, inventory) => {
-        if (err) {
-          console.error('Error fetching inventory:', err);
-          return;
+function scheduleNextRound(room, nextRoundStartTime) {
+  const timer = getRoomTimer(room);
+  if (timer.countdownInterval) {
+    clearInterval(timer.countdownInterval);
+  }
+
+  timer.countdownInterval = setInterval(async () => {
+    const countdown = Math.max(Math.ceil((nextRoundStartTime - Date.now()) / 1000), 0);
+    if (countdown <= 0) {
+      clearInterval(timer.countdownInterval);
+      timer.countdownInterval = null;
+      emitToRoom(room, 'nextRoundTimer', { timeLeft: 0 });
+      try {
+        // A join during the countdown may already have opened a round
+        const activeJackpot = await Jackpot.findOne({
+          room: roomFilter(room),
+          status: { $in: ['in_progress', 'waiting'] },
+        });
+        if (!activeJackpot) {
+          const newJackpot = new Jackpot({
+            room,
+            status: 'waiting',
+            totalValue: 0,
+            participants: [],
+          });
+          await newJackpot.save();
         }
+        emitToRoom(room, 'newRoundStarted'); // Inform clients that a new round has started
+      } catch (error) {
+        console.error(`Error starting next round in room ${room}:`, error);
+      }
+    } else {
+      emitToRoom(room, 'nextRoundTimer', { timeLeft: countdown });
+    }
+  }, 1000);
+}
 
-        try {
-          // Log the fetched inventory for debugging
-          console.log('Inventory fetched:', inventory);
+/**
+ * Queues the refunds of a cancelled round, one payout per user, leaving out items already refunded.
+ * Marks the round's payouts queued once every refund was queued.
+ * @param {Object} jackpot - The cancelled jackpot document.
+ */
+async function queueRefunds(jackpot) {
+  const refunded = await Payout.find({ jackpot: jackpot._id, type: 'refund' }).select('items');
+  const excluded = new Set();
+  refunded.forEach((payout) => payout.items.forEach((itemId) => excluded.add(String(itemId))));
+
+  // Group the deposited items by user, a user may have deposited more than once
+  const refunds = {};
+  jackpot.participants.forEach((participant) => {
+    const userId = (participant.user._id || participant.user).toString();
+    const items = participant.items.filter((item) => !excluded.has(String(item._id || item)));
+    refunds[userId] = (refunds[userId] || []).concat(items);
+  });
 
-          if (!inventory || inventory.length === 0) {
-            throw new Error("No items found in the bot's inventory.");
-          }
+  let allQueued = true;
+  for (const userId of Object.keys(refunds)) {
+    if (refunds[userId].length === 0) continue;
+    try {
+      await queuePayout({ jackpot: jackpot._id }, userId, refunds[userId], 'refund');
+    } catch (error) {
+      allQueued = false;
+      console.error(`Error queueing refund for user ${userId} in jackpot ${jackpot._id}:`, error);
+    }
+  }
 
-          // Build a mapping of winner items by name and their counts
-          const winnerItemCounts = {};
-          winnerItems.forEach((item) => {
-            winnerItemCounts[item.name] =
-              (winnerItemCounts[item.name] || 0) + 1;
-          });
+  if (allQueued) {
+    await Jackpot.updateOne({ _id: jackpot._id }, { payoutQueued: true });
+  }
+}
 
-          // Collect items from bot's inventory to send to the winner
-          const winnerInventoryItems = [];
-          const inventoryItemCounts = {};
-
-          // Iterate over the bot's inventory to match items by name
-          for (const item of inventory) {
-            const itemName = item.name;
-            if (
-              winnerItemCounts[itemName] && // The item is needed by the winner
-              (inventoryItemCounts[itemName] || 0) <
-                winnerItemCounts[itemName] // We haven't collected enough of this item yet
-            ) {
-              // Add the item to the winner's inventory items
-              winnerInventoryItems.push(item);
-              inventoryItemCounts[itemName] =
-                (inventoryItemCounts[itemName] || 0) + 1;
-            }
-          }
-
-          // Check if all required items have been collected
-          let allItemsCollected = true;
-          for (const itemName in winnerItemCounts) {
-            if (
-              (inventoryItemCounts[itemName] || 0) <
-              winnerItemCounts[itemName]
-            ) {
-              allItemsCollected = false;
-              console.error(
-                `Not enough items of "${itemName}" in bot's inventory. Needed: ${winnerItemCounts[itemName]}, Found: ${
-                  inventoryItemCounts[itemName] || 0
-                }`
-              );
-            }
-          }
-
-          if (!allItemsCollected) {
-            throw new Error(
-              "Not all winner items could be matched in the bot's inventory."
-            );
-          }
-
-          // Create Trade Offer for Winner
-          const winnerOffer = manager.createOffer(winner.tradeUrl);
-          winnerInventoryItems.forEach((item) => {
-            // Log item details
-            console.log(
-              `Processing item for Winner: ${item.name} (ID: ${item.assetid})`
-            );
-
-            // Ensure all required properties are present and item is tradable
-            if (item.tradable && item.assetid && item.appid && item.contextid) {
-              winnerOffer.addMyItem({
-                assetid: item.assetid,
-                appid: item.appid,
-                contextid: item.contextid,
-              });
-            } else {
-              console.error(
-                `Skipping item (Not tradable or missing parameters): ${JSON.stringify(
-                  item
-                )}`
-              );
-            }
-          });
-          winnerOffer.setMessage('Congratulations! You have won the jackpot!');
-
-          // Send Trade Offer to Winner
-          console.log('Sending trade offer to Winner...');
-          await sendTradeOffer(winnerOffer);
-          console.log(
-            `Trade offer sent to winner (${winner._id}) successfully.`
-          );
-
-          console.log(
-            `All trade offers sent successfully to Winner (${winner._id}).`
-          );
-        } catch (innerError) {
-          console.error(
-            'Error processing inventory and sending trade offers:',
-            innerError
-          );
-        }
-      }
-    );
-  } catch (error) {
-    console.error('Error transferring winnings:', error);
+/**
+ * Cancels a round and refunds every participant's deposited items through the payout queue.
+ * The status changes atomically, so a round is either cancelled or drawn, never both; only the
+ * caller that cancels it queues the refunds.
+ * @param {Object} jackpot - The jackpot document to cancel ('waiting', 'in_progress' or 'drawing').
+ * @param {string} reason - Why the round was cancelled.
+ * @returns {Promise<boolean>} Whether the round was cancelled (false if it had already closed).
+ */
+async function cancelRound(jackpot, reason) {
+  const room = jackpot.room || DEFAULT_ROOM;
+
+  const cancelledAt = Date.now();
+  const cancelled = await Jackpot.findOneAndUpdate(
+    { _id: jackpot._id, status: { $in: ['waiting', 'in_progress', 'drawing'] } },
+    {
+      status: 'cancelled',
+      cancelReason: reason,
+      completedAt: new Date(cancelledAt),
+      nextRoundAt: new Date(cancelledAt + timeBetweenRounds),
+      payoutQueued: false,
+    },
+    { new: true }
+  );
+  if (!cancelled) {
+    console.log(`Jackpot ${jackpot._id} already closed and was not cancelled.`);
+    return false;
   }
-};
 
-async function endRound() {
+  const timer = getRoomTimer(room);
+  if (timer.timerInterval) {
+    clearInterval(timer.timerInterval);
+    timer.timerInterval = null;
+    timer.roundEndTime = null;
+  }
+  if (timer.waitingTimeout) {
+    clearTimeout(timer.waitingTimeout);
+    timer.waitingTimeout = null;
+  }
+
+  // The stored round includes deposits added after the caller loaded it
+  await queueRefunds(cancelled);
+
+  console.log(`Jackpot ${jackpot._id} in room ${room} cancelled: ${reason}`);
+  emitToRoom(room, 'roundCancelled', { jackpotId: jackpot._id, reason });
+
+  scheduleNextRound(room, cancelled.nextRoundAt.getTime());
+  return true;
+}
+
+/**
+ * Draws the winner of a room's current round.
+ * @param {string} room - Room name.
+ */
+async function endRound(room = DEFAULT_ROOM) {
   try {
-    // Retrieve the current jackpot in progress
-    let jackpot = await Jackpot.findOne({ status: 'in_progress' })
+    // Claim the room's jackpot in progress; from here on it takes no deposits (see addUserToJackpot)
+    let jackpot = await Jackpot.findOneAndUpdate(
+      { room: roomFilter(room), status: 'in_progress' },
+      { status: 'drawing' },
+      { new: true }
+    )
+      .select('+serverSeed')
       .populate('participants.user')
       .populate('participants.items');
 
     if (!jackpot) {
-      console.log('No active jackpot to end.');
+      console.log(`No active jackpot to end in room ${room}.`);
       return;
     }
 
@@ -244,118 +356,134 @@ async function endRound() {
 
     if (overallTotal === 0) {
       console.log('No valid contributions to determine a winner.');
-      jackpot.status = 'completed';
-      await jackpot.save();
+      await cancelRound(jackpot, 'No valid contributions to determine a winner.');
       return;
     }
 
-    // Select the winner based on weighted random selection
-    const winnerParticipant = weightedRandomSelection(
-      participantsWithValue,
-      overallTotal
-    );
+    // Draw the winning ticket from the committed server seed and the public client seed
+    // Rounds created before seeds were committed have nothing to verify against and are marked so
+    let draw;
+    if (jackpot.serverSeed) {
+      jackpot.clientSeed = buildClientSeed(jackpot.participants);
+      draw = drawWinningTicket(
+        jackpot.participants,
+        jackpot.serverSeed,
+        jackpot.clientSeed,
+        jackpot.nonce
+      );
+    } else {
+      jackpot.unverifiable = true;
+      draw = drawUnverifiableTicket(jackpot.participants);
+    }
+    jackpot.totalTickets = draw.totalTickets;
+    jackpot.winningTicket = draw.winningTicket;
+
+    const winnerParticipant = participantsWithValue[draw.winnerIndex];
 
     if (!winnerParticipant) {
       console.log('Failed to select a winner.');
-      jackpot.status = 'completed';
-      await jackpot.save();
+      await cancelRound(jackpot, 'Failed to select a winner.');
       return;
     }
 
-    // ** Corrected Section Starts Here **
-
     // Collect all items from all participants
     let allItems = [];
     jackpot.participants.forEach((participant) => {
       allItems = allItems.concat(participant.items);
     });
 
-    // Distribute items between winner (90%) and bot (10%)
-    const totalItems = allItems;
-    const itemSplitIndex = Math.floor(totalItems.length * 0.9); // Winner gets 90%
-    const winnerItems = totalItems.slice(0, itemSplitIndex);
-
-    // ** Corrected Section Ends Here **
+    // Keep the house commission by value, the rest goes to the winner
+    const commission = selectCommissionItems(
+      allItems,
+      jackpot.commissionPercentage,
+      overallTotal
+    );
+    const winnerItems = commission.winnerItems;
+    const winningsValue = overallTotal - commission.commissionValue;
 
-    // Transfer winnings to winner by matching items
-    await transferWinnings(winnerParticipant.participant.user, winnerItems);
+    jackpot.commissionItems = commission.commissionItems.map((item) => item._id);
+    jackpot.commissionValue = commission.commissionValue;
+    jackpot.commissionCredit = commission.balanceCredit;
 
     // Update the jackpot with the winner
+    const completedAt = Date.now();
     jackpot.status = 'completed';
     jackpot.winner = winnerParticipant.participant.user._id;
-    await jackpot.save();
-
-    // Update all participants' statistics and game history
-    for (const p of participantsWithValue) {
-      const user = await User.findById(p.participant.user._id);
-      if (!user) {
-        console.error(`User with ID ${p.participant.user._id} not found.`);
-        continue;
+    jackpot.completedAt = new Date(completedAt);
+    jackpot.nextRoundAt = new Date(completedAt + timeBetweenRounds);
+    jackpot.payoutQueued = false;
+
+    // Complete the round only if it is still running; a cancel that got there first refunds it instead
+    const completed = await Jackpot.findOneAndUpdate(
+      { _id: jackpot._id, status: 'drawing' },
+      {
+        status: jackpot.status,
+        serverSeed: jackpot.serverSeed,
+        serverSeedHash: jackpot.serverSeedHash,
+        clientSeed: jackpot.clientSeed,
+        totalTickets: jackpot.totalTickets,
+        winningTicket: jackpot.winningTicket,
+        unverifiable: jackpot.unverifiable,
+        commissionItems: jackpot.commissionItems,
+        commissionValue: jackpot.commissionValue,
+        commissionCredit: jackpot.commissionCredit,
+        winner: jackpot.winner,
+        completedAt: jackpot.completedAt,
+        nextRoundAt: jackpot.nextRoundAt,
+        payoutQueued: jackpot.payoutQueued,
       }
+    );
+    if (!completed) {
+      console.log(`Jackpot ${jackpot._id} in room ${room} closed while it was being drawn.`);
+      return;
+    }
 
-      let deposited = user.deposited + p.totalContribution;
-      let totalWon = user.totalWon;
-      let profit = user.profit;
-
-      let isWinner = false;
-      let gameTotalWon = 0;
-      let winningTrade = '';
+    // Queue the winnings; the payout worker sends and retries the trade offer
+    // Should the server stop before this, recoverPayouts queues them on startup
+    await queuePayout({ jackpot: jackpot._id }, winnerParticipant.participant.user, winnerItems);
+
+    // Record the stakes, winnings and commission; the ledger updates the users' balance and statistics
+    // Until payoutQueued is set, recoverPayouts replays this too; the ledger records each reference once
+    await recordGameResult(
+      { jackpot: jackpot._id },
+      participantsWithValue.map((p) => ({ user: p.participant.user._id, value: p.totalContribution })),
+      winnerParticipant.participant.user._id,
+      commission
+    );
+    await Jackpot.updateOne({ _id: jackpot._id }, { payoutQueued: true });
 
-      if (
+    // Add the round to every participant's game history
+    for (const p of participantsWithValue) {
+      const isWinner =
         p.participant.user._id.toString() ===
-        winnerParticipant.participant.user._id.toString()
-      ) {
-        totalWon += jackpot.totalValue;
-        profit = totalWon - deposited;
-        isWinner = true;
-        gameTotalWon = jackpot.totalValue;
-
-        // Add game history entry for the winner
-        const gameHistoryEntryWinner = {
-          jackpotId: jackpot._id,
-          deposited: p.totalContribution,
-          totalWon: jackpot.totalValue,
-          profit: profit,
-          chance: `${((p.totalContribution / overallTotal) * 100).toFixed(
-            2
-          )}%`,
-          gamemode: 'Classic', // Adjust as needed or fetch from jackpot details
-          winningTrade: 'Trade ID 123456', // Replace with actual trade ID or URL
-          isWinner: true,
-          timestamp: new Date(),
-        };
-        user.gameHistory.push(gameHistoryEntryWinner);
-      } else {
-        // For non-winners
-        profit = profit - p.totalContribution; // Assuming they lose their contribution
-        totalWon += 0; // No winnings
-
-        // Add game history entry for the participant
-        const gameHistoryEntryParticipant = {
-          jackpotId: jackpot._id,
-          deposited: p.totalContribution,
-          totalWon: 0,
-          profit: -p.totalContribution,
-          chance: `${((p.totalContribution / overallTotal) * 100).toFixed(
-            2
-          )}%`,
-          gamemode: 'Classic', // Adjust as needed or fetch from jackpot details
-          winningTrade: '', // No trade for non-winners
-          isWinner: false,
-          timestamp: new Date(),
-        };
-        user.gameHistory.push(gameHistoryEntryParticipant);
-      }
-
-      user.deposited = deposited;
-      user.totalWon = totalWon;
-      user.profit = profit;
+        winnerParticipant.participant.user._id.toString();
+      const gameTotalWon = isWinner ? winningsValue : 0;
+
+      const gameHistoryEntry = {
+        jackpotId: jackpot._id,
+        deposited: p.totalContribution,
+        totalWon: gameTotalWon,
+        profit: gameTotalWon - p.totalContribution,
+        chance: `${((p.totalContribution / overallTotal) * 100).toFixed(
+          2
+        )}%`,
+        gamemode: 'Classic', // Adjust as needed or fetch from jackpot details
+        winningTrade: isWinner ? 'Trade ID 123456' : '', // Replace with actual trade ID or URL
+        isWinner,
+        timestamp: new Date(),
+      };
 
-      await user.save();
+      const updated = await User.updateOne(
+        { _id: p.participant.user._id },
+        { $push: { gameHistory: gameHistoryEntry } }
+      );
+      if (updated.matchedCount === 0) {
+        console.error(`User with ID ${p.participant.user._id} not found.`);
+      }
     }
 
     // Emit the 'spin' event to synchronize the wheel spin across all clients
-    io.getIO().emit('spin', {
+    emitToRoom(room, 'spin', {
       winnerId: {
         id: winnerParticipant.participant.user._id,
         username: winnerParticipant.participant.user.username,
@@ -369,65 +497,174 @@ async function endRound() {
       },
       startTime: Date.now() + spinStartDelay, // Scheduled start time
       duration: spinDuration, // Spin duration in milliseconds
+      provablyFair: jackpot.unverifiable ? null : {
+        jackpotId: jackpot._id,
+        serverSeed: jackpot.serverSeed,
+        serverSeedHash: jackpot.serverSeedHash,
+        clientSeed: jackpot.clientSeed,
+        nonce: jackpot.nonce,
+        totalTickets: jackpot.totalTickets,
+        winningTicket: jackpot.winningTicket,
+      },
     });
-    io.getIO().emit('newJackPot', {
+    emitToRoom(room, 'newJackPot', {
       msg: 'success',
     });
     // Emit 'nextRound' event with the start time of the next round (10 seconds after spin ends)
     const nextRoundStartTime = Date.now() + spinDuration + timeBetweenRounds;
-    io.getIO().emit('nextRound', { startTime: nextRoundStartTime });
+    emitToRoom(room, 'nextRound', { startTime: nextRoundStartTime });
 
     // Start a 10-second countdown for the next round and emit 'nextRoundTimer' every second
-    let countdown = timeBetweenRounds / 1000; // 10 seconds
-    let newJackpot;
-
-    const countdownInterval = setInterval(async () => {
-      countdown -= 1;
-      if (countdown <= 0) {
-        clearInterval(countdownInterval);
-        io.getIO().emit('nextRoundTimer', { timeLeft: 0 });
-        io.getIO().emit('newRoundStarted'); // Inform clients that a new round has started
-        newJackpot = new Jackpot({
-          status: 'waiting',
-          totalValue: 0,
-          participants: [],
-        });
-        await newJackpot.save();
-      } else {
-        io.getIO().emit('nextRoundTimer', { timeLeft: countdown });
-      }
-    }, 1000);
+    scheduleNextRound(room, jackpot.nextRoundAt.getTime());
   } catch (error) {
-    console.error('Error ending round:', error);
+    console.error(`Error ending round in room ${room}:`, error);
   }
 }
 
-module.exports = {
-  startRoundTimer,
-  getTimeLeft,
-  endRound,
-};
-
-
-
-
-
-
-
-
-
-
-
-
+/**
+ * Restores a room's round state after a server restart.
+ * Resumes the timer of a running round, ends a round that is overdue, resumes the
+ * next-round countdown, or creates the missing 'waiting' round.
+ * @param {string} room - Room name.
+ */
+async function recoverRoom(room) {
+  // A draw the server stopped in the middle of is run again
+  const drawing = await Jackpot.findOneAndUpdate(
+    { room: roomFilter(room), status: 'drawing' },
+    { status: 'in_progress' }
+  );
+  if (drawing) {
+    console.log(`Drawing jackpot ${drawing._id} in room ${room} again.`);
+    await endRound(room);
+    return;
+  }
 
+  const inProgress = await Jackpot.findOne({ room: roomFilter(room), status: 'in_progress' });
+  if (inProgress) {
+    if (!inProgress.roundEndsAt) {
+      // Rounds started before timestamps were persisted get a fresh timer
+      startRoundTimer(inProgress);
+      await inProgress.save();
+      console.log(`Restarted timer for jackpot ${inProgress._id} in room ${room}.`);
+    } else if (inProgress.roundEndsAt.getTime() <= Date.now()) {
+      console.log(`Ending overdue jackpot ${inProgress._id} in room ${room}.`);
+      await endRound(room);
+    } else {
+      startRoundTimer(inProgress);
+      console.log(`Resumed timer for jackpot ${inProgress._id} in room ${room} (${getTimeLeft(room)}s left).`);
+    }
+    return;
+  }
 
+  const waiting = await Jackpot.findOne({ room: roomFilter(room), status: 'waiting' });
+  if (waiting) {
+    if (waiting.waitingExpiresAt) {
+      // Resumes the single-player timeout, or cancels right away if it has passed
+      startWaitingTimer(waiting);
+    }
+    return;
+  }
 
+  const lastCompleted = await Jackpot.findOne({
+    room: roomFilter(room),
+    status: { $in: ['completed', 'cancelled'] },
+  }).sort({ createdAt: -1 });
+  if (lastCompleted && lastCompleted.nextRoundAt && lastCompleted.nextRoundAt.getTime() > Date.now()) {
+    console.log(`Resuming next round countdown in room ${room}.`);
+    scheduleNextRound(room, lastCompleted.nextRoundAt.getTime());
+    return;
+  }
 
+  const newJackpot = new Jackpot({
+    room,
+    status: 'waiting',
+    totalValue: 0,
+    participants: [],
+  });
+  await newJackpot.save();
+  console.log(`Created missing waiting jackpot in room ${room}.`);
+}
 
+/**
+ * Queues the winnings or refunds of closed rounds whose payouts were never queued, because the
+ * server stopped between closing the round and queueing them. Items already in a payout are skipped.
+ * Completed rounds also get their result recorded again; the ledger skips what it already has.
+ */
+async function recoverPayouts() {
+  const jackpots = await Jackpot.find({ status: { $in: ['completed', 'cancelled'] }, payoutQueued: false })
+    .populate('participants.items', 'price');
+
+  for (const jackpot of jackpots) {
+    try {
+      if (jackpot.status === 'cancelled') {
+        await queueRefunds(jackpot);
+        continue;
+      }
 
+      const queued = await Payout.find({ jackpot: jackpot._id, type: 'winnings' }).select('items');
+      const excluded = new Set(jackpot.commissionItems.map(String));
+      queued.forEach((payout) => payout.items.forEach((itemId) => excluded.add(String(itemId))));
 
+      const winnerItems = [];
+      jackpot.participants.forEach((participant) => {
+        participant.items.forEach((item) => {
+          if (!excluded.has(String(item._id))) winnerItems.push(item._id);
+        });
+      });
 
+      if (winnerItems.length > 0) {
+        await queuePayout({ jackpot: jackpot._id }, jackpot.winner, winnerItems);
+        console.log(`Queued the missing winnings payout of jackpot ${jackpot._id}.`);
+      }
 
+      // Same stakes as endRound recorded: each participant's items at their price
+      const players = jackpot.participants.map((participant) => ({
+        user: participant.user,
+        value: participant.items.reduce((acc, item) => {
+          const itemValue = parseFloat(item.price);
+          return acc + (isNaN(itemValue) ? 0 : itemValue);
+        }, 0),
+      }));
+      await recordGameResult({ jackpot: jackpot._id }, players, jackpot.winner, {
+        commissionValue: jackpot.commissionValue,
+        balanceCredit: jackpot.commissionCredit,
+        commissionItems: jackpot.commissionItems,
+      });
+      await Jackpot.updateOne({ _id: jackpot._id }, { payoutQueued: true });
+    } catch (error) {
+      console.error(`Error recovering the payouts of jackpot ${jackpot._id}:`, error);
+    }
+  }
+}
 
+/**
+ * Restores the round state of every room after a server restart,
+ * after queueing any winnings or refunds a restart left unqueued.
+ */
+async function recoverRounds() {
+  try {
+    await recoverPayouts();
+  } catch (error) {
+    console.error('Error recovering jackpot payouts:', error);
+  }
 
+  for (const room of Object.keys(rooms)) {
+    try {
+      await recoverRoom(room);
+    } catch (error) {
+      console.error(`Error recovering jackpot round in room ${room}:`, error);
+    }
+  }
+}
 
+module.exports = {
+  emitToRoom,
+  startRoundTimer,
+  startRound,
+  startWaitingTimer,
+  extendRound,
+  cancelRound,
+  getTimeLeft,
+  endRound,
+  recoverRounds,
+};
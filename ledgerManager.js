@@ -0,0 +1,449 @@
+// ledgerManager.js
+const Transaction = require('./models/transactionSchema');
+const User = require('./models/userSchema');
+
+/**
+ * The ledger is the record of every balance and statistics change. A user's balance, deposited,
+ * totalWon and profit fields are projections of it: they are only changed here, with $inc,
+ * and can be checked against (or rebuilt from) the ledger with getLedgerDrift / resyncUser.
+ *
+ *   balance   = sum of the user's 'balance' entries
+ *   deposited = sum of the user's 'deposit' transactions
+ *   totalWon  = sum of the user's 'win' transactions
+ *   profit    = totalWon - deposited, plus the user's 'profit' transactions (profit from before the ledger)
+ */
+
+// Differences below half a cent are rounding, not drift
+const DRIFT_TOLERANCE = 0.005;
+
+// Work in whole cents so the entries of a transaction add up exactly
+// Rounds half a cent away from zero, so an amount and its negation always cancel out
+const toCents = (amount) => Math.sign(amount) * Math.round(Math.abs(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Works out how a transaction changes its users' projected fields.
+ * @param {Object} transaction - The transaction document.
+ * @returns {Object} User ID -> $inc of balance, deposited, totalWon and profit.
+ */
+function getUserIncrements(transaction) {
+  const increments = {};
+  const inc = (userId, field, amount) => {
+    const key = String(userId);
+    increments[key] = increments[key] || {};
+    increments[key][field] = fromCents(toCents((increments[key][field] || 0) + amount));
+  };
+
+  transaction.entries.forEach((entry) => {
+    if (entry.account === 'balance') inc(entry.user, 'balance', entry.amount);
+  });
+
+  if (transaction.type === 'deposit') {
+    inc(transaction.user, 'deposited', transaction.amount);
+    inc(transaction.user, 'profit', -transaction.amount);
+  } else if (transaction.type === 'win') {
+    inc(transaction.user, 'totalWon', transaction.amount);
+    inc(transaction.user, 'profit', transaction.amount);
+  } else if (transaction.type === 'profit') {
+    inc(transaction.user, 'profit', transaction.amount);
+  }
+
+  return increments;
+}
+
+// Negate an $inc, to take back a projection update
+const negate = (increment) => {
+  const negated = {};
+  Object.keys(increment).forEach((field) => {
+    negated[field] = -increment[field];
+  });
+  return negated;
+};
+
+/**
+ * Records a transaction and updates the projected fields of the users it involves.
+ * Posting the same reference twice records it once; the second call resolves with null.
+ * @param {Object} data - Transaction fields: reference, type, user, amount, entries and references
+ *   (jackpot, coinflip, withdrawal, offerId, items, value, fee, memo, createdBy).
+ * @param {Object} [options]
+ * @param {boolean} [options.requireFunds] - Only post if the user's balance covers what the transaction takes from it.
+ * @returns {Promise<Object|null>} The transaction, or null if the reference was already recorded.
+ * @throws {Error} With code 'INSUFFICIENT_BALANCE' when requireFunds is set and the balance is too low.
+ */
+async function postTransaction(data, { requireFunds = false } = {}) {
+  const transaction = new Transaction({
+    ...data,
+    amount: fromCents(toCents(data.amount)),
+    entries: data.entries.map((entry) => ({ ...entry, amount: fromCents(toCents(entry.amount)) })),
+  });
+  await transaction.validate();
+
+  const increments = getUserIncrements(transaction);
+
+  if (requireFunds) {
+    // Take the money first, only if it is there, so parallel debits cannot overdraw the balance
+    const increment = increments[String(transaction.user)] || {};
+    const funded = await User.findOneAndUpdate(
+      { _id: transaction.user, balance: { $gte: -(increment.balance || 0) } },
+      { $inc: increment }
+    );
+    if (!funded) {
+      const error = new Error('Balance is too low.');
+      error.code = 'INSUFFICIENT_BALANCE';
+      throw error;
+    }
+
+    try {
+      await transaction.save();
+    } catch (error) {
+      await User.updateOne({ _id: transaction.user }, { $inc: negate(increment) });
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    delete increments[String(transaction.user)];
+  } else {
+    try {
+      await transaction.save();
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  // A failure here leaves the user's fields behind the ledger, which the drift report shows
+  for (const userId of Object.keys(increments)) {
+    await User.updateOne({ _id: userId }, { $inc: increments[userId] });
+  }
+
+  return transaction;
+}
+
+/**
+ * Records the outcome of a finished game: each player's stake, the winnings and the house commission.
+ * The pot of the game is left at exactly zero.
+ * @param {Object} game - { jackpot } or { coinflip } (IDs).
+ * @param {Array} players - { user, value } for every stake in the game.
+ * @param {Object} winner - The winning user (or user ID).
+ * @param {Object} commission - { commissionValue, balanceCredit, commissionItems } from utils/commission.js.
+ */
+async function recordGameResult(game, players, winner, commission) {
+  const gameKey = game.jackpot ? `jackpot:${game.jackpot}` : `coinflip:${game.coinflip}`;
+  const winnerId = winner._id || winner;
+
+  // A user may have deposited more than once; their stakes are one transaction
+  const stakes = {};
+  players.forEach((player) => {
+    const userId = String(player.user._id || player.user);
+    stakes[userId] = (stakes[userId] || 0) + toCents(player.value);
+  });
+
+  // Stakes come in from Steam and go into the pot
+  let potCents = 0;
+  for (const userId of Object.keys(stakes)) {
+    const stakeCents = stakes[userId];
+    potCents += stakeCents;
+
+    await postTransaction({
+      reference: `deposit:${gameKey}:${userId}`,
+      type: 'deposit',
+      user: userId,
+      amount: fromCents(stakeCents),
+      ...game,
+      entries: [
+        { account: 'steam', amount: -fromCents(stakeCents) },
+        { account: 'pot', amount: fromCents(stakeCents) },
+      ],
+    });
+  }
+
+  // The house keeps the commission; the winner gets the rest, partly as balance when no item combination fit
+  const commissionCents = toCents(commission.commissionValue);
+  const winningsCents = potCents - commissionCents;
+  const creditCents = toCents(commission.balanceCredit || 0);
+
+  const winEntries = [
+    { account: 'pot', amount: -fromCents(winningsCents) },
+    { account: 'steam', amount: fromCents(winningsCents - creditCents) },
+  ];
+  if (creditCents > 0) {
+    winEntries.push({ account: 'balance', user: winnerId, amount: fromCents(creditCents) });
+  }
+
+  await postTransaction({
+    reference: `win:${gameKey}`,
+    type: 'win',
+    user: winnerId,
+    amount: fromCents(winningsCents),
+    ...game,
+    entries: winEntries,
+  });
+
+  await postTransaction({
+    reference: `commission:${gameKey}`,
+    type: 'commission',
+    amount: fromCents(commissionCents),
+    ...game,
+    items: (commission.commissionItems || []).map((item) => item._id || item),
+    entries: [
+      { account: 'pot', amount: -fromCents(commissionCents) },
+      { account: 'house', amount: fromCents(commissionCents) },
+    ],
+  });
+}
+
+/**
+ * Adds to or takes from a user's balance by hand. Negative adjustments need the balance to cover them.
+ * @param {Object} user - The user (or user ID).
+ * @param {number} amount - Amount to add (positive) or take (negative).
+ * @param {string} memo - Why the adjustment was made.
+ * @param {string} [createdBy] - SteamID64 of the admin making it.
+ * @returns {Promise<Object>} The transaction.
+ */
+async function adjustBalance(user, amount, memo, createdBy) {
+  const userId = user._id || user;
+  return postTransaction({
+    reference: `adjustment:${userId}:${Date.now()}:${Math.random().toString(36).slice(2, 8)}`,
+    type: 'adjustment',
+    user: userId,
+    amount,
+    memo,
+    createdBy,
+    entries: [
+      { account: 'balance', user: userId, amount },
+      { account: 'house', amount: -amount },
+    ],
+  }, { requireFunds: amount < 0 });
+}
+
+/**
+ * Adds up the ledger into the fields each user should have.
+ * @param {Object} [match] - Limits the users, e.g. { user: userId }.
+ * @returns {Promise<Object>} User ID -> { balance, deposited, totalWon, profit }
+ */
+async function getLedgerTotals(match = {}) {
+  const entryMatch = match.user ? { 'entries.user': match.user } : {};
+
+  const [balances, stats] = await Promise.all([
+    Transaction.aggregate([
+      { $match: { 'entries.account': 'balance', ...entryMatch } },
+      { $unwind: '$entries' },
+      { $match: { 'entries.account': 'balance', ...entryMatch } },
+      { $group: { _id: '$entries.user', total: { $sum: '$entries.amount' } } },
+    ]),
+    Transaction.aggregate([
+      { $match: { type: { $in: ['deposit', 'win', 'profit'] }, ...match } },
+      { $group: { _id: { user: '$user', type: '$type' }, total: { $sum: '$amount' } } },
+    ]),
+  ]);
+
+  const totals = {};
+  const profitOpenings = {};
+  const userTotals = (userId) => {
+    const key = String(userId);
+    totals[key] = totals[key] || { balance: 0, deposited: 0, totalWon: 0, profit: 0 };
+    return totals[key];
+  };
+
+  balances.forEach(({ _id, total }) => {
+    userTotals(_id).balance = fromCents(toCents(total));
+  });
+  stats.forEach(({ _id, total }) => {
+    if (_id.type === 'profit') {
+      userTotals(_id.user);
+      profitOpenings[String(_id.user)] = total;
+      return;
+    }
+    const field = _id.type === 'deposit' ? 'deposited' : 'totalWon';
+    userTotals(_id.user)[field] = fromCents(toCents(total));
+  });
+  Object.keys(totals).forEach((userId) => {
+    const userTotal = totals[userId];
+    userTotal.profit = fromCents(toCents(userTotal.totalWon - userTotal.deposited + (profitOpenings[userId] || 0)));
+  });
+
+  return totals;
+}
+
+/**
+ * Compares every user's balance and statistics with the ledger, and checks that finished games
+ * left nothing in their pot.
+ * @returns {Promise<Object>} { generatedAt, drift, openPots, accounts, checkedUsers }
+ */
+async function getLedgerDrift() {
+  const totals = await getLedgerTotals();
+  const fields = ['balance', 'deposited', 'totalWon', 'profit'];
+
+  const users = await User.find({
+    $or: [
+      { _id: { $in: Object.keys(totals) } },
+      ...fields.map((field) => ({ [field]: { $nin: [0, null] } })),
+    ],
+  }).select('steamId username balance deposited totalWon profit');
+
+  const drift = [];
+  users.forEach((user) => {
+    const expected = totals[String(user._id)] || { balance: 0, deposited: 0, totalWon: 0, profit: 0 };
+    fields.forEach((field) => {
+      const recorded = user[field] || 0;
+      if (Math.abs(recorded - expected[field]) >= DRIFT_TOLERANCE) {
+        drift.push({
+          userId: user._id,
+          steamId: user.steamId,
+          username: user.username,
+          field,
+          recorded,
+          ledger: expected[field],
+          difference: fromCents(toCents(recorded - expected[field])),
+        });
+      }
+    });
+  });
+
+  const [pots, accountTotals] = await Promise.all([
+    Transaction.aggregate([
+      { $match: { 'entries.account': 'pot' } },
+      { $unwind: '$entries' },
+      { $match: { 'entries.account': 'pot' } },
+      { $group: { _id: { jackpot: '$jackpot', coinflip: '$coinflip' }, total: { $sum: '$entries.amount' } } },
+    ]),
+    Transaction.aggregate([
+      { $unwind: '$entries' },
+      { $group: { _id: '$entries.account', total: { $sum: '$entries.amount' } } },
+    ]),
+  ]);
+
+  const accounts = {};
+  accountTotals.forEach(({ _id, total }) => {
+    accounts[_id] = fromCents(toCents(total));
+  });
+
+  return {
+    generatedAt: new Date(),
+    drift,
+    openPots: pots
+      .filter(({ total }) => Math.abs(total) >= DRIFT_TOLERANCE)
+      .map(({ _id, total }) => ({ jackpotId: _id.jackpot, coinflipId: _id.coinflip, amount: fromCents(toCents(total)) })),
+    accounts,
+    checkedUsers: users.length,
+  };
+}
+
+/**
+ * Rebuilds a user's balance and statistics from the ledger.
+ * @param {Object} user - The user (or user ID).
+ * @returns {Promise<Object>} The fields as they were and as they are now: { before, after }
+ */
+async function resyncUser(user) {
+  const userId = user._id || user;
+  const totals = await getLedgerTotals({ user: userId });
+  const after = totals[String(userId)] || { balance: 0, deposited: 0, totalWon: 0, profit: 0 };
+
+  const before = await User.findByIdAndUpdate(userId, { $set: after })
+    .select('balance deposited totalWon profit');
+  if (!before) return null;
+
+  console.log(`User ${userId} resynced with the ledger.`);
+  return {
+    before: { balance: before.balance, deposited: before.deposited, totalWon: before.totalWon, profit: before.profit },
+    after,
+  };
+}
+
+/**
+ * Records the balance and statistics users had before the ledger existed, once.
+ * Without these opening entries every existing user would show up as drift.
+ */
+async function openLedger() {
+  const opened = await Transaction.exists({ reference: 'opening' });
+  if (opened) return;
+
+  const users = await User.find({
+    $or: [
+      { balance: { $nin: [0, null] } },
+      { deposited: { $nin: [0, null] } },
+      { totalWon: { $nin: [0, null] } },
+      { profit: { $nin: [0, null] } },
+    ],
+  }).select('balance deposited totalWon profit');
+
+  // These transactions only record what the fields already hold, so they must not $inc them again
+  for (const user of users) {
+    const balance = fromCents(toCents(user.balance || 0));
+    const deposited = fromCents(toCents(user.deposited || 0));
+    const totalWon = fromCents(toCents(user.totalWon || 0));
+    // Whatever of the profit totalWon - deposited does not explain
+    const profit = fromCents(toCents((user.profit || 0) - (totalWon - deposited)));
+
+    const openings = [];
+    if (balance) {
+      openings.push({
+        reference: `opening:${user._id}:balance`,
+        type: 'adjustment',
+        amount: balance,
+        entries: [
+          { account: 'balance', user: user._id, amount: balance },
+          { account: 'house', amount: -balance },
+        ],
+      });
+    }
+    if (deposited) {
+      openings.push({
+        reference: `opening:${user._id}:deposited`,
+        type: 'deposit',
+        amount: deposited,
+        entries: [
+          { account: 'steam', amount: -deposited },
+          { account: 'house', amount: deposited },
+        ],
+      });
+    }
+    if (totalWon) {
+      openings.push({
+        reference: `opening:${user._id}:totalWon`,
+        type: 'win',
+        amount: totalWon,
+        entries: [
+          { account: 'house', amount: -totalWon },
+          { account: 'steam', amount: totalWon },
+        ],
+      });
+    }
+    if (profit) {
+      openings.push({
+        reference: `opening:${user._id}:profit`,
+        type: 'profit',
+        amount: profit,
+        entries: [],
+      });
+    }
+
+    for (const opening of openings) {
+      try {
+        await Transaction.create({ ...opening, user: user._id, memo: 'Opening balance' });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+  }
+
+  await Transaction.create({
+    reference: 'opening',
+    type: 'adjustment',
+    amount: 0,
+    entries: [],
+    memo: `Ledger opened with ${users.length} existing user(s).`,
+  });
+  console.log(`Ledger opened with ${users.length} existing user(s).`);
+}
+
+module.exports = {
+  postTransaction,
+  recordGameResult,
+  adjustBalance,
+  getLedgerTotals,
+  getLedgerDrift,
+  resyncUser,
+  openLedger,
+  getUserIncrements,
+};
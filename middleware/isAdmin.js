@@ -0,0 +1,13 @@
+// middleware/isAdmin.js
+const { isAdminSteamId } = require('../config/admins');
+
+// Must run after isAuth, which sets req.user
+const isAdmin = (req, res, next) => {
+  if (!req.user || !isAdminSteamId(req.user.id)) {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+
+  next();
+};
+
+module.exports = isAdmin;
@@ -0,0 +1,17 @@
+// middleware/resolveRoom.js
+const { getRoom } = require('../config/rooms');
+
+// Reads the jackpot room from the route, query or body and attaches its settings as req.room
+const resolveRoom = (req, res, next) => {
+  const name = req.params.room || req.query.room || (req.body && req.body.room);
+  const room = getRoom(name);
+
+  if (!room) {
+    return res.status(404).json({ error: `Unknown jackpot room: ${name}` });
+  }
+
+  req.room = room;
+  next();
+};
+
+module.exports = resolveRoom;
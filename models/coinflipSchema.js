@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { provablyFairPlugin } = require('../utils/provablyFair');
+
+const coinflipPlayerSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Player user ID
+  items: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Item' }], // Items deposited by the player
+  value: { type: Number, default: 0 }, // Value of the deposited items
+  offerId: { type: String }, // Deposit trade offer ID
+}, { _id: false });
+
+const coinflipSchema = new mongoose.Schema({
+  creator: coinflipPlayerSchema, // Player who created the lobby
+  creatorSide: { type: String, enum: ['heads', 'tails'], required: true }, // Side picked by the creator
+  joiner: coinflipPlayerSchema, // Player who joined the lobby
+  totalValue: { type: Number, default: 0 }, // Total value of items in the coinflip
+  winner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Winner ID
+  winningSide: { type: String, enum: ['heads', 'tails'] }, // Side the coin landed on
+  commissionPercentage: { type: Number, default: 10 }, // Commission percentage
+  commissionItems: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Item' }], // Items kept by the house
+  commissionValue: { type: Number, default: 0 }, // Value kept by the house
+  commissionCredit: { type: Number, default: 0 }, // Balance credited to the winner when no item combination fit
+  status: {
+    type: String,
+    enum: ['pending', 'open', 'joining', 'completed', 'cancelled'],
+    default: 'pending',
+  }, // pending: creator's deposit not accepted yet, joining: joiner's deposit not accepted yet
+  createdAt: { type: Date, default: Date.now }, // Timestamp for when the lobby was created
+  completedAt: { type: Date }, // When the winner was drawn
+});
+
+// Provably fair draw: commits to a server seed as soon as the lobby is created
+coinflipSchema.plugin(provablyFairPlugin);
+
+module.exports = mongoose.model('Coinflip', coinflipSchema);
@@ -0,0 +1,8 @@
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true }, // Name of the sequence, e.g. 'Jackpot.nonce'
+  next: { type: Number, required: true }, // Next number the sequence hands out
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
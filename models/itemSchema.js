@@ -9,8 +9,15 @@ const itemSchema = new mongoose.Schema({
   assetId: { type: String, required: true }, // Steam asset ID for the item
   appId: { type: Number, default: 252490 }, // Steam App ID (e.g., 730 for CS:GO, 252490 for Rust)
   contextId: { type: Number, default: 2 }, // Context ID (usually 2 for Steam inventories)
+  bot: { type: String }, // ID of the bot holding the item once deposited (config/bots.js)
+  botAssetId: { type: String }, // Asset ID Steam gave the item in the bot's inventory
+  lockedBy: { type: String, default: null }, // Trade offer (or pending lock) the item is in; null when free
+  lockedAt: { type: Date }, // When the item was locked
   createdAt: { type: Date, default: Date.now }, // Timestamp for when the item was added to the system
   // quantity: {type: String, required: true}
 });
 
+// Finds locks to release (see utils/itemLocks.js)
+itemSchema.index({ lockedBy: 1, lockedAt: 1 }, { partialFilterExpression: { lockedBy: { $type: 'string' } } });
+
 module.exports = mongoose.model('Item', itemSchema);
@@ -1,17 +1,45 @@
 const mongoose = require('mongoose');
+const { provablyFairPlugin } = require('../utils/provablyFair');
 
 const jackpotSchema = new mongoose.Schema({
+  room: { type: String, default: 'classic', index: true }, // Jackpot room (see config/rooms.js)
   participants: [{
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Participant user ID
     items: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Item' }], // Array of items associated with the user
-    color: { type: String}
+    color: { type: String},
+    offerId: { type: String }, // Deposit trade offer the items came in with
   }],
+  pendingDeposits: [{
+    offerId: { type: String }, // Deposit trade offer ID
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Depositing user ID
+    items: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Item' }], // Items in the offer
+    value: { type: Number, default: 0 }, // Value of the items
+    createdAt: { type: Date, default: Date.now }, // When the offer was sent
+  }], // Deposits waiting for trade acceptance
   totalValue: { type: Number, default: 0 }, // Total value of items in the jackpot
   winner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Winner ID
   commissionPercentage: { type: Number, default: 10 }, // Commission percentage
-  status: { type: String, enum: ['waiting', 'in_progress', 'completed'], default: 'waiting' }, // Status of the jackpot
+  commissionItems: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Item' }], // Items kept by the house
+  commissionValue: { type: Number, default: 0 }, // Value kept by the house
+  commissionCredit: { type: Number, default: 0 }, // Balance credited to the winner when no item combination fit
+  status: {
+    type: String,
+    enum: ['waiting', 'in_progress', 'drawing', 'completed', 'cancelled'],
+    default: 'waiting',
+  }, // Status of the jackpot; 'drawing' rounds take no more deposits
+  cancelReason: { type: String }, // Why the round was cancelled and refunded
   countdown: { type: Number, default: 120 }, // Countdown in seconds
   createdAt: { type: Date, default: Date.now }, // Timestamp for when the jackpot started
+  roundStartedAt: { type: Date }, // When the round timer started
+  roundEndsAt: { type: Date }, // When the round timer runs out
+  extensions: { type: Number, default: 0 }, // Anti-snipe extensions applied to the round
+  waitingExpiresAt: { type: Date }, // When a round with a single depositor is cancelled
+  completedAt: { type: Date }, // When the winner was drawn
+  payoutQueued: { type: Boolean }, // Whether the winnings or refunds were queued and the result recorded; false from closing until they are
+  nextRoundAt: { type: Date }, // When the next round opens
 });
 
+// Provably fair draw: commits to a server seed as soon as the round is created
+jackpotSchema.plugin(provablyFairPlugin);
+
 module.exports = mongoose.model('Jackpot', jackpotSchema);
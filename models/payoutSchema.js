@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const payoutSchema = new mongoose.Schema({
+  type: { type: String, enum: ['winnings', 'refund'], default: 'winnings' }, // Why the items are owed
+  jackpot: { type: mongoose.Schema.Types.ObjectId, ref: 'Jackpot' }, // Jackpot being paid out or refunded
+  coinflip: { type: mongoose.Schema.Types.ObjectId, ref: 'Coinflip' }, // Coinflip being paid out
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Winner or refunded participant
+  bot: { type: String }, // ID of the bot holding the items (config/bots.js)
+  items: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Item' }], // Items owed to the user
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'accepted', 'failed', 'escalated'],
+    default: 'pending',
+  }, // Payout state; sending: an offer may be out without its ID recorded
+  offerId: { type: String }, // Steam trade offer ID of the latest attempt
+  expiresAt: { type: Date }, // When the sent offer is cancelled and sent again if it is still not accepted
+  attempts: { type: Number, default: 0 }, // Number of send attempts
+  nextAttemptAt: { type: Date, default: Date.now }, // When the worker may try again
+  lastError: { type: String }, // Reason of the latest failure
+  lastErrorCode: { type: String }, // Trade error code of the latest failure (utils/tradeErrors.js)
+  createdAt: { type: Date, default: Date.now }, // Timestamp for when the payout was queued
+  updatedAt: { type: Date, default: Date.now }, // Timestamp of the latest status change
+});
+
+payoutSchema.index({ status: 1, nextAttemptAt: 1 });
+// One winnings payout per game and bot holding part of the winnings
+payoutSchema.index(
+  { jackpot: 1, bot: 1 },
+  { unique: true, partialFilterExpression: { jackpot: { $exists: true }, type: 'winnings' } }
+);
+payoutSchema.index(
+  { coinflip: 1, bot: 1 },
+  { unique: true, partialFilterExpression: { coinflip: { $exists: true }, type: 'winnings' } }
+);
+
+module.exports = mongoose.model('Payout', payoutSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const SteamTradeManager = require('steam-tradeoffer-manager');
+
+// ETradeOfferState names (e.g. 'Active', 'Accepted', 'Declined')
+const offerStates = Object.keys(SteamTradeManager.ETradeOfferState).filter(key => isNaN(key));
+
+const tradeOfferSchema = new mongoose.Schema({
+  offerId: { type: String, required: true, unique: true }, // Steam trade offer ID
+  bot: { type: String }, // ID of the bot that sent the offer (config/bots.js)
+  type: { type: String, enum: ['deposit', 'payout', 'withdrawal'], required: true }, // Items coming to the bot, or leaving it as winnings or store purchases
+  purpose: { type: String, required: true }, // Handler that reacts to the offer's state changes (e.g. 'jackpotDeposit')
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // User on the other side of the offer
+  items: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Item' }], // Items in the offer
+  jackpot: { type: mongoose.Schema.Types.ObjectId, ref: 'Jackpot' }, // Jackpot the offer belongs to
+  coinflip: { type: mongoose.Schema.Types.ObjectId, ref: 'Coinflip' }, // Coinflip the offer belongs to
+  payout: { type: mongoose.Schema.Types.ObjectId, ref: 'Payout' }, // Payout the offer belongs to
+  withdrawal: { type: mongoose.Schema.Types.ObjectId, ref: 'Withdrawal' }, // Store withdrawal the offer belongs to
+  state: { type: String, enum: offerStates, default: 'Active' }, // Last known offer state
+  expiresAt: { type: Date }, // When an unaccepted deposit offer gets cancelled
+  handledAt: { type: Date, default: null }, // When the handler finished with the offer's final state
+  handleAttempts: { type: Number, default: 0 }, // Times the handler ran for the final state
+  stateHistory: [{
+    state: { type: String, enum: offerStates }, // Offer state
+    changedAt: { type: Date, default: Date.now }, // When the state was seen
+  }], // Every state the offer went through
+  createdAt: { type: Date, default: Date.now }, // Timestamp for when the offer was sent
+  updatedAt: { type: Date, default: Date.now }, // Timestamp of the latest state change
+});
+
+tradeOfferSchema.index({ state: 1, expiresAt: 1 });
+tradeOfferSchema.index({ handledAt: 1, state: 1 });
+tradeOfferSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TradeOffer', tradeOfferSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Ledger accounts: a user's site balance, the value at stake in a game, the house, and Steam
+// (the outside world items come from and go to)
+const accounts = ['balance', 'pot', 'house', 'steam'];
+
+const entrySchema = new mongoose.Schema({
+  account: { type: String, enum: accounts, required: true }, // Account the value moves into or out of
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Owner of a 'balance' account
+  amount: { type: Number, required: true }, // Value into (positive) or out of (negative) the account, in USD
+}, { _id: false });
+
+const transactionSchema = new mongoose.Schema({
+  reference: { type: String, required: true, immutable: true }, // Idempotency key, e.g. 'win:jackpot:<id>'
+  type: {
+    type: String,
+    enum: ['deposit', 'win', 'commission', 'skinDeposit', 'purchase', 'refund', 'adjustment', 'profit'],
+    required: true,
+    immutable: true,
+  }, // What happened; 'profit' records profit a user had before the ledger beyond totalWon - deposited
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', immutable: true }, // User the transaction is about
+  amount: { type: Number, required: true, immutable: true }, // Headline value: stake, winnings, commission, credit, price or adjustment
+  entries: { type: [entrySchema], immutable: true }, // Double-entry legs; their amounts add up to zero
+  value: { type: Number, immutable: true }, // Market value of the items involved
+  fee: { type: Number, immutable: true }, // Fee kept by the house
+  items: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Item' }], immutable: true }, // Items involved
+  offerId: { type: String, immutable: true }, // Steam trade offer that moved the items
+  jackpot: { type: mongoose.Schema.Types.ObjectId, ref: 'Jackpot', immutable: true }, // Game the transaction belongs to
+  coinflip: { type: mongoose.Schema.Types.ObjectId, ref: 'Coinflip', immutable: true }, // Game the transaction belongs to
+  withdrawal: { type: mongoose.Schema.Types.ObjectId, ref: 'Withdrawal', immutable: true }, // Store withdrawal the transaction belongs to
+  memo: { type: String, immutable: true }, // Why an adjustment was made
+  createdBy: { type: String, immutable: true }, // SteamID64 of the admin who made an adjustment
+  createdAt: { type: Date, default: Date.now, immutable: true }, // When the transaction was recorded
+});
+
+// Each reference is recorded once; skin deposit records written before the ledger existed have
+// none, while every transaction posted since must have one
+transactionSchema.index(
+  { reference: 1 },
+  { unique: true, partialFilterExpression: { reference: { $exists: true } } }
+);
+// A trade offer is credited at most once
+transactionSchema.index(
+  { type: 1, offerId: 1 },
+  { unique: true, partialFilterExpression: { offerId: { $exists: true } } }
+);
+transactionSchema.index({ user: 1, createdAt: -1 });
+transactionSchema.index({ 'entries.account': 1, 'entries.user': 1 });
+
+// Every transaction moves value between accounts without creating or losing any (checked in cents)
+transactionSchema.pre('validate', function () {
+  const total = this.entries.reduce(
+    (acc, entry) => acc + Math.sign(entry.amount) * Math.round(Math.abs(entry.amount) * 100),
+    0
+  );
+  if (total !== 0) {
+    this.invalidate('entries', `Entries of transaction ${this.reference} are off by ${total} cents.`);
+  }
+});
+
+// Entries are never changed or removed; mistakes are corrected with an adjustment
+transactionSchema.pre('save', function () {
+  if (!this.isNew) {
+    throw new Error('Ledger transactions are immutable.');
+  }
+});
+transactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'],
+  function () {
+    throw new Error('Ledger transactions are immutable.');
+  }
+);
+
+module.exports = mongoose.model('Transaction', transactionSchema);
@@ -3,12 +3,13 @@
 const mongoose = require('mongoose');
 
 const gameHistorySchema = new mongoose.Schema({
-  jackpotId: { type: mongoose.Schema.Types.ObjectId, ref: 'Jackpot', required: true }, // Reference to the Jackpot
+  jackpotId: { type: mongoose.Schema.Types.ObjectId, ref: 'Jackpot' }, // Reference to the Jackpot (Classic games)
+  coinflipId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coinflip' }, // Reference to the Coinflip (Coinflip games)
   deposited: { type: Number, required: true }, // Amount deposited in the game
   totalWon: { type: Number, required: true }, // Amount won in the game
   profit: { type: Number, required: true }, // Profit from the game
   chance: { type: String, required: true }, // Winning chance (e.g., "25%")
-  gamemode: { type: String, required: true }, // Gamemode (e.g., "Classic")
+  gamemode: { type: String, required: true }, // Gamemode ("Classic" or "Coinflip")
   winningTrade: { type: String }, // Trade ID or URL (optional, primarily for winners)
   isWinner: { type: Boolean, default: false }, // Flag to indicate if the user won
   timestamp: { type: Date, default: Date.now }, // When the game was played
@@ -19,6 +20,11 @@ const userSchema = new mongoose.Schema({
   username: { type: String, required: true }, // Username or display name
   profileUrl: { type: String }, // Steam profile URL
   tradeUrl: { type: String }, // Steam Trade URL
+  tradeUrlUpdatedAt: { type: Date }, // When the trade URL was last changed
+  tradeHold: { // Steam trade hold, cached from the latest offer sent to the user
+    escrowDays: { type: Number, default: 0 }, // Days Steam holds items the user trades (0 = no hold)
+    checkedAt: { type: Date }, // When the hold was last checked
+  },
   avatar: { // User's avatar images
     small: { type: String },
     medium: { type: String },
@@ -28,6 +34,7 @@ const userSchema = new mongoose.Schema({
   deposited: { type: Number, default: 0 }, // Total deposited amount
   totalWon: { type: Number, default: 0 }, // Total won amount
   profit: { type: Number, default: 0 }, // Total profit
+  balance: { type: Number, default: 0 }, // Site balance
   token: { type: String }, // Token for authentication
   gameHistory: [gameHistorySchema], // Array of game history objects
   createdAt: { type: Date, default: Date.now }, // Timestamp for when the user registered
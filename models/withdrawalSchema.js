@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const withdrawalSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // User buying the items with their balance
+  bot: { type: String, required: true }, // ID of the bot sending the items (config/bots.js)
+  assets: [{
+    assetId: { type: String, required: true }, // Asset ID in the bot's inventory
+    name: { type: String, required: true }, // Item name (market_hash_name)
+    price: { type: Number, required: true }, // Price charged for the item
+    item: { type: mongoose.Schema.Types.ObjectId, ref: 'Item' }, // House item the asset belongs to, if the site tracks it
+  }], // Items bought from the store
+  total: { type: Number, required: true }, // Amount debited from the user's balance
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'accepted', 'refunded'],
+    default: 'pending',
+  }, // pending: balance debited, offer not sent yet; sending: the offer may be out without its ID recorded
+  active: { type: Boolean, default: true }, // Reserves the assets until the withdrawal is accepted or refunded
+  offerId: { type: String }, // Steam trade offer ID
+  lastError: { type: String }, // Why the withdrawal was refunded
+  lastErrorCode: { type: String }, // Trade error code of the failure (utils/tradeErrors.js)
+  createdAt: { type: Date, default: Date.now }, // Timestamp for when the withdrawal was requested
+  updatedAt: { type: Date, default: Date.now }, // Timestamp of the latest status change
+});
+
+// An asset can only be in one open withdrawal
+withdrawalSchema.index(
+  { bot: 1, 'assets.assetId': 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+withdrawalSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Withdrawal', withdrawalSchema);
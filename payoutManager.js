@@ -0,0 +1,497 @@
+// payoutManager.js
+const Payout = require('./models/payoutSchema');
+const Item = require('./models/itemSchema');
+const User = require('./models/userSchema');
+const io = require('./socket');
+const { bots, getBot, getBotInventory, isBotAvailable, isBotLoggedIn } = require('./steamTradeBot'); // Import Steam trade bot pool
+const SteamTradeManager = require('steam-tradeoffer-manager');
+const {
+  registerOfferHandler,
+  trackTradeOffer,
+  applyRetryPolicy,
+  getOffer,
+  cancelOffer,
+  getActiveSentOffers,
+  openOfferStates,
+} = require('./utils/tradeOffers');
+const { RETRY, toTradeError } = require('./utils/tradeErrors');
+
+/**
+ * Worker settings
+ */
+const PAYOUT_INTERVAL = 15000; // How often the worker runs, in milliseconds
+const MAX_PAYOUT_ATTEMPTS = 5; // Attempts before a payout is escalated to an admin
+const RETRY_BASE_DELAY = 30000; // First retry after 30 seconds, then doubles
+const RETRY_MAX_DELAY = 30 * 60 * 1000; // Never wait more than 30 minutes between attempts
+const OFFER_TIMEOUT = 60 * 60 * 1000; // Sent offers still open after an hour are cancelled and sent again
+const SENDING_TIMEOUT = 5 * 60 * 1000; // A payout still sending after 5 minutes was cut short
+
+let workerInterval = null;
+let isProcessing = false;
+
+// Payouts cut short while sending that need an admin, so they are only reported once
+const reportedPayouts = new Set();
+
+/**
+ * Calculates the delay before the next attempt.
+ * @param {number} attempts - Attempts made so far.
+ * @returns {number} Delay in milliseconds.
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * Math.pow(2, Math.max(attempts - 1, 0)), RETRY_MAX_DELAY);
+}
+
+/**
+ * Send trade offer with Promises
+ */
+const sendTradeOffer = (offer) => {
+  return new Promise((resolve, reject) => {
+    offer.send((err, status) => {
+      if (err) {
+        console.error('Trade offer failed:', err);
+        return reject(err);
+      }
+
+      if (status === 'pending') {
+        console.log('Trade offer sent, awaiting mobile confirmation.');
+      } else {
+        console.log('Trade offer sent successfully.');
+      }
+
+      resolve(status);
+    });
+  });
+};
+
+/**
+ * Transfer items to the winner, sending the exact assets recorded when they were deposited.
+ * Items deposited before their asset IDs were recorded are matched by name.
+ * @param {Object} winner - The winning user.
+ * @param {Array} winnerItems - The items the winner is owed.
+ * @param {string} message - Trade offer message.
+ * @param {Object} bot - The bot holding the items.
+ * @returns {Promise<string>} The ID of the trade offer that was sent.
+ */
+const transferWinnings = async (winner, winnerItems, message = 'Congratulations! You have won the jackpot!', bot = bots[0]) => {
+  // Validate Winner's Trade URL
+  if (!winner.tradeUrl) {
+    throw new Error('Winner does not have a valid trade offer URL.');
+  }
+
+  // Fetch the bot's inventory contents
+  const inventory = await getBotInventory(bot);
+  if (!inventory || inventory.length === 0) {
+    throw new Error("No items found in the bot's inventory.");
+  }
+
+  const inventoryByAssetId = {};
+  inventory.forEach((item) => {
+    inventoryByAssetId[item.assetid] = item;
+  });
+
+  // Collect items from bot's inventory to send to the winner
+  const winnerInventoryItems = [];
+  const usedAssetIds = new Set();
+
+  // Items with a recorded asset ID must be exactly that asset
+  const unmatchedItems = [];
+  for (const item of winnerItems) {
+    if (!item.botAssetId) {
+      unmatchedItems.push(item);
+      continue;
+    }
+
+    const inventoryItem = inventoryByAssetId[item.botAssetId];
+    if (!inventoryItem || !inventoryItem.tradable) {
+      throw new Error(`Item "${item.name}" (asset ${item.botAssetId}) is not tradable in bot ${bot.id}'s inventory.`);
+    }
+    winnerInventoryItems.push(inventoryItem);
+    usedAssetIds.add(item.botAssetId);
+  }
+
+  // Older items without an asset ID fall back to any tradable copy with the same name
+  // Assets recorded for other items are left alone
+  const reservedItems = await Item.find({ bot: bot.id, botAssetId: { $exists: true } }).select('botAssetId');
+  const reservedAssetIds = new Set(reservedItems.map((item) => item.botAssetId));
+
+  for (const item of unmatchedItems) {
+    const inventoryItem = inventory.find((candidate) =>
+      candidate.tradable &&
+      candidate.name === item.name &&
+      !usedAssetIds.has(candidate.assetid) &&
+      !reservedAssetIds.has(candidate.assetid)
+    );
+    if (!inventoryItem) {
+      throw new Error(`Not enough items of "${item.name}" in bot ${bot.id}'s inventory.`);
+    }
+    winnerInventoryItems.push(inventoryItem);
+    usedAssetIds.add(inventoryItem.assetid);
+  }
+
+  // Create Trade Offer for Winner
+  const winnerOffer = bot.manager.createOffer(winner.tradeUrl);
+  winnerInventoryItems.forEach((item) => {
+    console.log(`Processing item for Winner: ${item.name} (ID: ${item.assetid})`);
+    winnerOffer.addMyItem({
+      assetid: item.assetid,
+      appid: item.appid,
+      contextid: item.contextid,
+    });
+  });
+  winnerOffer.setMessage(message);
+
+  // Send Trade Offer to Winner
+  await sendTradeOffer(winnerOffer);
+  console.log(`Trade offer ${winnerOffer.id} sent from bot ${bot.id} to winner (${winner._id}) successfully.`);
+
+  return winnerOffer.id;
+};
+
+/**
+ * Records a failed attempt and schedules the next one, or escalates the payout.
+ * Errors that retrying cannot fix (e.g. a trade-banned winner) are escalated right away.
+ * @param {Object} payout - The payout document.
+ * @param {string} reason - Why the attempt failed.
+ * @param {Object} [tradeErr] - The structured trade error, if the attempt failed on Steam.
+ */
+async function failPayout(payout, reason, tradeErr) {
+  payout.lastError = reason;
+  payout.lastErrorCode = tradeErr ? tradeErr.code : undefined;
+  payout.updatedAt = new Date();
+
+  if (tradeErr && tradeErr.retry === RETRY.NONE) {
+    payout.status = 'escalated';
+    console.error(`Payout ${payout._id} escalated, ${tradeErr.code} cannot be retried: ${reason}`);
+  } else if (payout.attempts >= MAX_PAYOUT_ATTEMPTS) {
+    payout.status = 'escalated';
+    console.error(`Payout ${payout._id} escalated after ${payout.attempts} attempts: ${reason}`);
+  } else {
+    payout.status = 'failed';
+    payout.nextAttemptAt = new Date(Date.now() + getRetryDelay(payout.attempts));
+    console.error(`Payout ${payout._id} failed (attempt ${payout.attempts}): ${reason}`);
+  }
+
+  await payout.save();
+  await emitPayoutUpdate(payout);
+}
+
+/**
+ * Notifies the payout's user about a status change.
+ * @param {Object} payout - The payout document.
+ */
+async function emitPayoutUpdate(payout) {
+  const user = payout.user && payout.user.steamId
+    ? payout.user
+    : await User.findById(payout.user).select('steamId');
+  if (!user) return;
+
+  io.emitToUser(user.steamId, 'payoutUpdate', {
+    payoutId: payout._id,
+    type: payout.type,
+    jackpotId: payout.jackpot,
+    coinflipId: payout.coinflip,
+    status: payout.status,
+    offerId: payout.offerId,
+    errorCode: payout.lastErrorCode,
+  });
+}
+
+/**
+ * Sends the trade offer for a pending or failed payout.
+ * The payout is claimed as 'sending' first. Once the offer is out, later failures never send it
+ * again: the payout stays 'sent' with its offer, or in 'sending' for recoverSendingPayouts.
+ * @param {Object} payout - The payout document.
+ */
+async function attemptPayout(payout) {
+  const claimed = await Payout.findOneAndUpdate(
+    { _id: payout._id, status: payout.status },
+    { status: 'sending', $inc: { attempts: 1 }, updatedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) return;
+  payout = claimed;
+
+  await payout.populate('user');
+  await payout.populate('items');
+
+  const bot = getBot(payout.bot);
+
+  let offerId;
+  try {
+    if (!bot) {
+      throw new Error(`Bot ${payout.bot} is not configured.`);
+    }
+
+    let message = payout.coinflip
+      ? 'Congratulations! You have won the coinflip!'
+      : 'Congratulations! You have won the jackpot!';
+    if (payout.type === 'refund') {
+      message = payout.coinflip
+        ? 'Your coinflip was cancelled. Here are your items back.'
+        : 'Your jackpot deposit was refunded. Here are your items back.';
+    }
+    offerId = await transferWinnings(payout.user, payout.items, message, bot);
+  } catch (error) {
+    const tradeErr = bot ? applyRetryPolicy(bot, error) : toTradeError(error);
+    await failPayout(payout, error.message, tradeErr);
+    return;
+  }
+
+  try {
+    payout.status = 'sent';
+    payout.offerId = offerId;
+    payout.expiresAt = new Date(Date.now() + OFFER_TIMEOUT);
+    payout.lastError = undefined;
+    payout.lastErrorCode = undefined;
+    payout.updatedAt = new Date();
+    await payout.save();
+  } catch (error) {
+    console.error(`Payout ${payout._id} sent trade offer ${offerId} but could not record it:`, error);
+    return;
+  }
+
+  try {
+    await trackTradeOffer(offerId, {
+      bot: bot.id,
+      type: 'payout',
+      purpose: 'payout',
+      user: payout.user._id,
+      items: payout.items.map((item) => item._id),
+      jackpot: payout.jackpot,
+      coinflip: payout.coinflip,
+      payout: payout._id,
+    });
+  } catch (error) {
+    // A cancelled offer can be sent again; a live one is checked once it expires
+    if (error.offerCancelled) {
+      await failPayout(payout, `Trade offer ${offerId} could not be tracked: ${error.message}`);
+    } else {
+      console.error(`Payout ${payout._id} has trade offer ${offerId} that could not be tracked:`, error.message);
+    }
+    return;
+  }
+
+  emitPayoutUpdate(payout).catch((error) => console.error(`Failed to notify about payout ${payout._id}:`, error));
+}
+
+/**
+ * Marks a payout accepted.
+ * @param {Object} payout - The payout document.
+ */
+async function acceptPayout(payout) {
+  payout.status = 'accepted';
+  payout.updatedAt = new Date();
+  await payout.save();
+  await emitPayoutUpdate(payout);
+  console.log(`Payout ${payout._id} accepted.`);
+}
+
+/**
+ * Loads the payout a trade offer was sent for, if that offer is still its latest attempt.
+ * @param {Object} record - The TradeOffer document.
+ * @returns {Promise<Object|null>} The payout document.
+ */
+async function findSentPayout(record) {
+  return Payout.findOne({ _id: record.payout, status: 'sent', offerId: record.offerId });
+}
+
+// Mark payouts accepted, or schedule a retry when the winner does not accept the offer
+registerOfferHandler('payout', {
+  onAccepted: async (record) => {
+    const payout = await findSentPayout(record);
+    if (!payout) return;
+
+    await acceptPayout(payout);
+  },
+  onDeclined: async (record) => {
+    const payout = await findSentPayout(record);
+    if (!payout) return;
+
+    await failPayout(payout, `Trade offer ${record.state}`);
+  },
+});
+
+/**
+ * Settles sent payouts whose offer was not accepted in time. Also covers offers whose state
+ * change was missed, e.g. because they were accepted before they were tracked.
+ * Offers still open are cancelled and the payout is sent again.
+ */
+async function expireSentPayouts() {
+  const expired = await Payout.find({ status: 'sent', expiresAt: { $lte: new Date() } });
+
+  for (const payout of expired) {
+    const bot = getBot(payout.bot);
+    if (!bot || !isBotAvailable(bot)) continue;
+
+    try {
+      const offer = await getOffer(bot, payout.offerId);
+      const state = SteamTradeManager.ETradeOfferState[offer.state];
+      if (state === 'Accepted') {
+        await acceptPayout(payout);
+        continue;
+      }
+
+      if (openOfferStates.includes(state)) {
+        await cancelOffer(offer);
+        console.log(`Payout offer ${offer.id} was not accepted in time and was cancelled.`);
+      }
+      await failPayout(payout, `Trade offer ${state === 'Active' ? 'expired' : state}`);
+    } catch (error) {
+      console.error(`Failed to check the trade offer of payout ${payout._id}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Recovers payouts cut short while their offer was being sent. Any offer that went out for
+ * their assets is cancelled and the payout is sent again. Payouts whose assets left the bot, or
+ * whose items have no recorded asset, are left for an admin.
+ */
+async function recoverSendingPayouts() {
+  const stuck = await Payout.find({
+    status: 'sending',
+    updatedAt: { $lte: new Date(Date.now() - SENDING_TIMEOUT) },
+  }).populate('items');
+
+  for (const payout of stuck) {
+    const bot = getBot(payout.bot);
+    if (!bot || !isBotAvailable(bot) || reportedPayouts.has(String(payout._id))) continue;
+
+    try {
+      const assetIds = payout.items.map((item) => item.botAssetId);
+      if (assetIds.some((assetId) => !assetId)) {
+        reportedPayouts.add(String(payout._id));
+        console.error(`Payout ${payout._id} was cut short while sending and has items without an asset ID. Check it manually.`);
+        continue;
+      }
+
+      const [sentOffers, inventory] = await Promise.all([getActiveSentOffers(bot), getBotInventory(bot)]);
+      const liveOffers = sentOffers.filter((offer) =>
+        offer.itemsToGive.some((item) => assetIds.includes(String(item.assetid)))
+      );
+      for (const offer of liveOffers) {
+        await cancelOffer(offer);
+        console.log(`Cancelled trade offer ${offer.id} of payout ${payout._id}.`);
+      }
+
+      const inInventory = new Set(inventory.map((item) => String(item.assetid)));
+      if (assetIds.every((assetId) => inInventory.has(assetId))) {
+        await failPayout(payout, 'The trade offer was cut short while sending.');
+      } else {
+        reportedPayouts.add(String(payout._id));
+        console.error(`Payout ${payout._id} was cut short while sending and its items left bot ${bot.id}. Check it manually.`);
+      }
+    } catch (error) {
+      console.error(`Failed to recover payout ${payout._id}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Runs one pass of the payout worker.
+ */
+async function processPayouts() {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  try {
+    // Don't burn attempts while every bot is offline
+    if (!isBotLoggedIn()) {
+      console.log('No bot is logged in. Postponing payouts.');
+      return;
+    }
+
+    await recoverSendingPayouts();
+    await expireSentPayouts();
+
+    const duePayouts = await Payout.find({
+      status: { $in: ['pending', 'failed'] },
+      nextAttemptAt: { $lte: new Date() },
+    }).sort({ createdAt: 1 });
+
+    for (const payout of duePayouts) {
+      // The items can only leave from the bot holding them; wait for it to come back
+      const bot = getBot(payout.bot);
+      if (bot && !isBotAvailable(bot)) continue;
+
+      await attemptPayout(payout);
+    }
+  } catch (error) {
+    console.error('Error processing payouts:', error);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Queues the payouts for a user and processes them right away.
+ * Items held by different bots are paid out in one payout per bot.
+ * @param {Object} game - The game the items come from: { jackpot } or { coinflip } (IDs).
+ * @param {Object} user - The user (or user ID) owed the items.
+ * @param {Array} items - The items (or item IDs) owed to the user.
+ * @param {string} type - 'winnings' or 'refund'.
+ * @returns {Promise<Array>} The payout documents.
+ */
+async function queuePayout(game, user, items, type = 'winnings') {
+  const heldItems = await Item.find({ _id: { $in: items.map((item) => item._id || item) } }).select('bot');
+
+  // Items deposited before the bot pool existed sit in the first bot
+  const itemsByBot = {};
+  heldItems.forEach((item) => {
+    const botId = item.bot || bots[0].id;
+    itemsByBot[botId] = itemsByBot[botId] || [];
+    itemsByBot[botId].push(item._id);
+  });
+
+  const payouts = [];
+  for (const botId of Object.keys(itemsByBot)) {
+    const payout = new Payout({
+      type,
+      jackpot: game.jackpot,
+      coinflip: game.coinflip,
+      user: user._id || user,
+      bot: botId,
+      items: itemsByBot[botId],
+    });
+    await payout.save();
+    payouts.push(payout);
+  }
+
+  processPayouts();
+  return payouts;
+}
+
+/**
+ * Puts a failed or escalated payout back in the queue.
+ * @param {Object} payout - The payout document.
+ * @returns {Promise<Object>} The payout document.
+ */
+async function requeuePayout(payout) {
+  payout.status = 'pending';
+  payout.attempts = 0;
+  payout.nextAttemptAt = new Date();
+  payout.updatedAt = new Date();
+  await payout.save();
+
+  processPayouts();
+  return payout;
+}
+
+/**
+ * Starts the payout worker.
+ */
+function startPayoutWorker() {
+  if (workerInterval) {
+    clearInterval(workerInterval);
+  }
+  workerInterval = setInterval(processPayouts, PAYOUT_INTERVAL);
+  processPayouts();
+}
+
+module.exports = {
+  transferWinnings,
+  queuePayout,
+  requeuePayout,
+  processPayouts,
+  startPayoutWorker,
+};
@@ -0,0 +1,261 @@
+// reconciliationManager.js
+const Item = require('./models/itemSchema');
+const Jackpot = require('./models/jackpotSchema');
+const Coinflip = require('./models/coinflipSchema');
+const Payout = require('./models/payoutSchema');
+const io = require('./socket');
+const { bots, getBotInventory, isBotAvailable } = require('./steamTradeBot');
+const { reconcileInterval } = require('./config/bots');
+
+/**
+ * Statuses of games whose deposited items sit in the bots
+ */
+const ACTIVE_JACKPOT_STATUSES = ['waiting', 'in_progress', 'drawing'];
+const ACTIVE_COINFLIP_STATUSES = ['open', 'joining'];
+
+let workerInterval = null;
+let currentRun = null;
+let latestReport = null;
+
+/**
+ * Loads the items of running games that were deposited before items recorded their bot.
+ * Like their payouts, they are expected in the first bot.
+ * @returns {Promise<Array>} The item documents.
+ */
+async function findLegacyGameItems() {
+  const [jackpots, coinflips] = await Promise.all([
+    Jackpot.find({ status: { $in: ACTIVE_JACKPOT_STATUSES } }).select('participants.items'),
+    Coinflip.find({ status: { $in: ACTIVE_COINFLIP_STATUSES } }).select('creator.items joiner.items'),
+  ]);
+
+  const itemIds = [];
+  jackpots.forEach((jackpot) => {
+    jackpot.participants.forEach((participant) => itemIds.push(...participant.items));
+  });
+  coinflips.forEach((coinflip) => {
+    if (coinflip.creator) itemIds.push(...coinflip.creator.items);
+    if (coinflip.joiner) itemIds.push(...coinflip.joiner.items);
+  });
+
+  if (itemIds.length === 0) return [];
+  return Item.find({ _id: { $in: itemIds }, bot: null });
+}
+
+/**
+ * Finds what each item is held for: a running game, the house commission or an unfinished payout.
+ * @param {Array} itemIds - Item IDs.
+ * @returns {Promise<Object>} Item ID -> { jackpotId, coinflipId, commission, payoutId }
+ */
+async function findItemUses(itemIds) {
+  const uses = {};
+  if (itemIds.length === 0) return uses;
+
+  const held = new Set(itemIds.map(String));
+  const addUse = (itemIdsOfGame, use) => {
+    (itemIdsOfGame || []).forEach((itemId) => {
+      if (!held.has(String(itemId))) return;
+      uses[itemId] = Object.assign(uses[itemId] || {}, use);
+    });
+  };
+
+  const [jackpots, coinflips, payouts] = await Promise.all([
+    Jackpot.find({
+      $or: [
+        { status: { $in: ACTIVE_JACKPOT_STATUSES }, 'participants.items': { $in: itemIds } },
+        { commissionItems: { $in: itemIds } },
+      ],
+    }).select('status participants.items commissionItems'),
+    Coinflip.find({
+      $or: [
+        { status: { $in: ACTIVE_COINFLIP_STATUSES }, 'creator.items': { $in: itemIds } },
+        { status: { $in: ACTIVE_COINFLIP_STATUSES }, 'joiner.items': { $in: itemIds } },
+        { commissionItems: { $in: itemIds } },
+      ],
+    }).select('status creator.items joiner.items commissionItems'),
+    Payout.find({ status: { $ne: 'accepted' }, items: { $in: itemIds } }).select('items'),
+  ]);
+
+  jackpots.forEach((jackpot) => {
+    if (ACTIVE_JACKPOT_STATUSES.includes(jackpot.status)) {
+      jackpot.participants.forEach((participant) => addUse(participant.items, { jackpotId: jackpot._id }));
+    }
+    addUse(jackpot.commissionItems, { jackpotId: jackpot._id, commission: true });
+  });
+  coinflips.forEach((coinflip) => {
+    if (ACTIVE_COINFLIP_STATUSES.includes(coinflip.status)) {
+      if (coinflip.creator) addUse(coinflip.creator.items, { coinflipId: coinflip._id });
+      if (coinflip.joiner) addUse(coinflip.joiner.items, { coinflipId: coinflip._id });
+    }
+    addUse(coinflip.commissionItems, { coinflipId: coinflip._id, commission: true });
+  });
+  payouts.forEach((payout) => addUse(payout.items, { payoutId: payout._id }));
+
+  return uses;
+}
+
+/**
+ * Compares one bot's Rust inventory with the items the database expects it to hold.
+ * Items with a recorded asset ID must be exactly that asset; older items are matched by name.
+ * @param {Object} bot - The bot.
+ * @param {Array} legacyItems - Items of running games with no bot recorded (see findLegacyGameItems).
+ * @returns {Promise<Object>} { bot, checkedAt, inventoryCount, expectedCount, missing, surplus, untradable }
+ */
+async function reconcileBot(bot, legacyItems) {
+  const inventory = await getBotInventory(bot);
+  const botItems = await Item.find({ bot: bot.id });
+  const expectedItems = bot === bots[0] ? botItems.concat(legacyItems) : botItems;
+
+  const inventoryByAssetId = {};
+  inventory.forEach((asset) => {
+    inventoryByAssetId[asset.assetid] = asset;
+  });
+
+  const claimedAssetIds = new Set();
+  const missing = [];
+  const untradable = [];
+
+  const checkAsset = (item, asset) => {
+    if (!asset) {
+      missing.push({ item });
+      return;
+    }
+    claimedAssetIds.add(asset.assetid);
+    if (!asset.tradable) {
+      untradable.push({ item, asset });
+    }
+  };
+
+  const unmatchedItems = [];
+  expectedItems.forEach((item) => {
+    if (item.botAssetId) {
+      checkAsset(item, inventoryByAssetId[item.botAssetId]);
+    } else {
+      unmatchedItems.push(item);
+    }
+  });
+
+  // Prefer a tradable copy, so an untradable one is only reported when nothing else fits
+  unmatchedItems.forEach((item) => {
+    const candidates = inventory.filter((asset) =>
+      asset.market_hash_name === item.name && !claimedAssetIds.has(asset.assetid)
+    );
+    checkAsset(item, candidates.find((asset) => asset.tradable) || candidates[0]);
+  });
+
+  const surplus = inventory
+    .filter((asset) => !claimedAssetIds.has(asset.assetid))
+    .map((asset) => ({ assetId: asset.assetid, name: asset.market_hash_name, tradable: Boolean(asset.tradable) }));
+
+  const uses = await findItemUses(missing.concat(untradable).map(({ item }) => item._id));
+  const describe = ({ item, asset }) => ({
+    itemId: item._id,
+    name: item.name,
+    price: item.price,
+    assetId: asset ? asset.assetid : item.botAssetId || null,
+    ...(uses[item._id] || {}),
+  });
+
+  return {
+    bot: bot.id,
+    checkedAt: new Date(),
+    inventoryCount: inventory.length,
+    expectedCount: expectedItems.length,
+    missing: missing.map(describe),
+    surplus,
+    untradable: untradable.map(describe),
+  };
+}
+
+/**
+ * Checks every bot's inventory against the Item collection and running games.
+ * Bots that are offline or fail to load their inventory are reported with an error.
+ * Admins are sent the report on the 'inventoryReconciliation' socket event.
+ * @returns {Promise<Object>} { startedAt, finishedAt, bots, totals }
+ */
+async function runReconciliation() {
+  const startedAt = new Date();
+  const legacyItems = await findLegacyGameItems();
+
+  const botReports = [];
+  for (const bot of bots) {
+    if (!isBotAvailable(bot)) {
+      botReports.push({ bot: bot.id, checkedAt: new Date(), error: 'Bot is not available.' });
+      continue;
+    }
+
+    try {
+      botReports.push(await reconcileBot(bot, legacyItems));
+    } catch (error) {
+      console.error(`Inventory reconciliation of bot ${bot.id} failed:`, error.message);
+      botReports.push({ bot: bot.id, checkedAt: new Date(), error: error.message });
+    }
+  }
+
+  const total = (key) => botReports.reduce((acc, report) => acc + (report[key] ? report[key].length : 0), 0);
+  const report = {
+    startedAt,
+    finishedAt: new Date(),
+    bots: botReports,
+    totals: {
+      missing: total('missing'),
+      surplus: total('surplus'),
+      untradable: total('untradable'),
+      failedBots: botReports.filter((botReport) => botReport.error).length,
+    },
+  };
+
+  latestReport = report;
+  const { totals } = report;
+  if (totals.missing || totals.surplus || totals.untradable || totals.failedBots) {
+    console.warn(
+      `Inventory reconciliation: ${totals.missing} missing, ${totals.surplus} surplus, ` +
+      `${totals.untradable} untradable, ${totals.failedBots} bot(s) not checked.`
+    );
+  } else {
+    console.log('Inventory reconciliation: every bot holds exactly the expected items.');
+  }
+  io.emitToAdmins('inventoryReconciliation', report);
+
+  return report;
+}
+
+/**
+ * Runs a reconciliation, or joins the one already running.
+ * @returns {Promise<Object>} The report.
+ */
+function reconcileInventories() {
+  if (!currentRun) {
+    currentRun = runReconciliation().finally(() => {
+      currentRun = null;
+    });
+  }
+  return currentRun;
+}
+
+/**
+ * Returns the report of the latest reconciliation.
+ * @returns {Object|null} The report, or null before the first run finished.
+ */
+function getLatestReport() {
+  return latestReport;
+}
+
+/**
+ * Starts the scheduled reconciliation.
+ */
+function startReconciliationWorker() {
+  if (workerInterval) {
+    clearInterval(workerInterval);
+  }
+
+  const run = () => reconcileInventories().catch((error) => {
+    console.error('Error reconciling bot inventories:', error);
+  });
+  workerInterval = setInterval(run, reconcileInterval * 1000);
+}
+
+module.exports = {
+  reconcileInventories,
+  getLatestReport,
+  startReconciliationWorker,
+};
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const isAuth = require('../middleware/isAuth');
+const isAdmin = require('../middleware/isAdmin');
+
+// Every admin route requires an authenticated admin
+router.use(isAuth, isAdmin);
+
+// Cancel a jackpot and refund its participants
+router.post('/jackpots/:jackpotId/cancel', adminController.cancelJackpot);
+
+// Trade bot health, and relogin of a bot that stopped or misbehaves
+router.get('/bots', adminController.getBots);
+router.post('/bots/:botId/relogin', adminController.reloginBot);
+
+// Missing, surplus and untradable assets in the bots' inventories
+router.get('/reconciliation', adminController.getInventoryReconciliation);
+router.post('/reconciliation', adminController.runInventoryReconciliation);
+
+// Users whose balance or statistics disagree with the ledger, and corrections
+router.get('/ledger/drift', adminController.getLedgerDrift);
+router.post('/ledger/users/:steamId/resync', adminController.resyncUserWithLedger);
+router.post('/users/:steamId/adjustments', adminController.adjustUserBalance);
+
+
+module.exports = router;
@@ -5,6 +5,9 @@ const User = require('../models/userSchema');
 const Item = require('../models/itemSchema');
 const { getInventory } = require('../utils/getInventory');
 const isAuth = require('../middleware/isAuth');
+const tradeController = require('../controllers/tradeController');
+const storeController = require('../controllers/storeController');
+const balanceController = require('../controllers/balanceController');
 
 const router = express.Router();
 
@@ -15,9 +18,27 @@ router.get('/user', isAuth, async (req, res) => {
   if (!user) return res.status(404).json({ message: 'User not found' });
 
   // Respond with user data
-  res.json({ steamID64: user.steamId, username: user.username, avatar: user.avatar });
+  res.json({
+    steamID64: user.steamId,
+    username: user.username,
+    avatar: user.avatar,
+    tradeHold: user.tradeHold, // Cached from the latest deposit offer
+    balance: user.balance, // Site balance, spendable in the store
+  });
 });
 
+// Deposit and payout trade offers of the logged in user
+router.get('/trades', isAuth, tradeController.getUserTrades);
+
+// Store: bot items for sale, and buying them with site balance
+router.get('/store', storeController.getStoreItems);
+router.post('/store/withdraw', isAuth, storeController.withdraw);
+router.get('/store/withdrawals', isAuth, storeController.getUserWithdrawals);
+
+// Site balance: skins deposited for credit, and the transactions behind the balance
+router.get('/balance', isAuth, balanceController.getBalance);
+router.post('/balance/deposit', isAuth, balanceController.depositForBalance);
+
 
 
 // router.js (or the file where your routes are defined)
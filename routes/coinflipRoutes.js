@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const coinflipController = require('../controllers/coinflipController');
+const isAuth = require('../middleware/isAuth');
+
+// Open lobbies and recent results
+router.get('/', coinflipController.getCoinflips);
+router.get('/history', coinflipController.getCoinflipHistory);
+
+// Create a lobby or join an open one
+router.post('/create', isAuth, coinflipController.createCoinflip);
+router.post('/:coinflipId/join', isAuth, coinflipController.joinCoinflip);
+
+// Cancel an open lobby nobody joined; the creator's items are refunded
+router.post('/:coinflipId/cancel', isAuth, coinflipController.cancelOpenCoinflip);
+
+
+module.exports = router;
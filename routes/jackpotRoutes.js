@@ -1,17 +1,32 @@
 const express = require('express');
 const router = express.Router();
 const jackpotController = require('../controllers/jackpotController');
+const payoutController = require('../controllers/payoutController');
 const isAuth = require('../middleware/isAuth');
+const resolveRoom = require('../middleware/resolveRoom');
+const { rooms } = require('../config/rooms');
 
-// Route to join the jackpot
-router.post('/join', isAuth, jackpotController.joinJackpot);
+// List the available jackpot rooms
+router.get('/rooms', (req, res) => res.json(Object.values(rooms)));
 
-// Route to get the current jackpot status
-router.get('/status', jackpotController.getJackpotStatus);
-router.get('/history', jackpotController.getJackpotHistory);
+// Route to join the jackpot (room in the body, defaults to 'classic')
+router.post('/join', isAuth, resolveRoom, jackpotController.joinJackpot);
+router.post('/rooms/:room/join', isAuth, resolveRoom, jackpotController.joinJackpot);
+
+// Route to get the current jackpot status (room in the query, defaults to 'classic')
+router.get('/status', resolveRoom, jackpotController.getJackpotStatus);
+router.get('/rooms/:room/status', resolveRoom, jackpotController.getJackpotStatus);
+router.get('/history', resolveRoom, jackpotController.getJackpotHistory);
+router.get('/rooms/:room/history', resolveRoom, jackpotController.getJackpotHistory);
 router.post('/save-trade-url', isAuth, jackpotController.saveTradeUrl);
 router.get("/statistics", isAuth, jackpotController.getUserStatistics);
-router.get("/last-four-jackpots", jackpotController.getLastFourJackpots);
+router.get("/last-four-jackpots", resolveRoom, jackpotController.getLastFourJackpots);
+router.get('/rooms/:room/last-four-jackpots', resolveRoom, jackpotController.getLastFourJackpots);
+router.get('/verify/:jackpotId', jackpotController.verifyJackpot);
+
+// Winner payouts
+router.get('/payouts', isAuth, payoutController.getUserPayouts);
+router.post('/payouts/:payoutId/retry', isAuth, payoutController.requestPayout);
 
 
 module.exports = router;
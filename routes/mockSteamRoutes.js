@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const mockSteamController = require('../controllers/mockSteamController');
+const isAuth = require('../middleware/isAuth');
+const isAdmin = require('../middleware/isAdmin');
+
+// Controls for the simulated Steam adapter (STEAM_ADAPTER=mock)
+// Only mounted when the bots run on the simulation; nothing here touches real Steam items
+
+// They settle offers and create items, so only admins may use them
+router.use(isAuth, isAdmin);
+
+// Trade offers sent by the simulated bots, and accepting or declining them
+router.get('/offers', mockSteamController.getOffers);
+router.post('/offers/:offerId/state', mockSteamController.setOfferState);
+
+// Simulated inventories and trade holds
+router.get('/inventories/:steamId', mockSteamController.getInventory);
+router.post('/users/:steamId/items', mockSteamController.addUserItems);
+router.post('/users/:steamId/escrow', mockSteamController.setEscrowDays);
+
+
+module.exports = router;
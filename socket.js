@@ -1,7 +1,15 @@
 let io;
 
+// Name of the socket.io room of a single user (by SteamID64)
+const userChannel = (steamId) => `user:${steamId}`
+
+// Name of the socket.io room every authenticated admin joins
+const adminChannel = 'admins'
+
 module.exports = {
-    
+    userChannel,
+    adminChannel,
+
     init: (httpServer,cors) => {
         io = require('socket.io')(httpServer,cors)
         return io;
@@ -11,5 +19,19 @@ module.exports = {
             throw new Error ('socket io is not initialized')
         }
         return io;
+    },
+    // Emit an event to every socket of a user that authenticated on connection
+    emitToUser: (steamId, event, data) => {
+        if (!io) {
+            throw new Error ('socket io is not initialized')
+        }
+        io.to(userChannel(steamId)).emit(event, data)
+    },
+    // Emit an event to every admin socket
+    emitToAdmins: (event, data) => {
+        if (!io) {
+            throw new Error ('socket io is not initialized')
+        }
+        io.to(adminChannel).emit(event, data)
     }
 }
\ No newline at end of file
@@ -1,8 +1,7 @@
 const SteamUser = require('steam-user');
-const SteamCommunity = require('steamcommunity');
-const SteamTradeManager = require('steam-tradeoffer-manager');
-const SteamTotp = require('steam-totp');
 const winston = require('winston');
+const { bots: botConfigs, rateLimitCooldown } = require('./config/bots');
+const steamAdapter = require('./adapters'); // Real Steam or the in-memory simulation (STEAM_ADAPTER)
 
 // Configure Winston logger
 const logger = winston.createLogger({
@@ -19,36 +18,13 @@ const logger = winston.createLogger({
   ],
 });
 
-const client = new SteamUser();
-const community = new SteamCommunity();
-const manager = new SteamTradeManager({
-  steam: client,
-  community: community,
-  language: 'en',
-  useAccessToken: true
-});
-
-// Steam bot credentials from environment variables
-const config = {
-  accountName: process.env.STEAM_ACCOUNT_NAME,
-  password: process.env.STEAM_PASSWORD,
-  sharedSecret: process.env.STEAM_SHARED_SECRET,
-  identitySecret: process.env.STEAM_IDENTITY_SECRET
-};
-
 // Avoid logging sensitive information
-logger.info('Config: Account Name is set.');
+logger.info(`Config: ${botConfigs.length} bot account(s) set, using the ${steamAdapter.name} Steam adapter.`);
 
-// Validate Steam credentials
-if (!config.accountName || !config.password || !config.sharedSecret || !config.identitySecret) {
-  logger.error('Steam credentials are not fully set in environment variables.');
-  process.exit(1);
-}
-
-let loginAttempts = 0;
-let reconnectAttempts = 0;
 const MAX_LOGIN_ATTEMPTS = 10;
 const MAX_RECONNECT_ATTEMPTS = 5;
+const INVENTORY_CACHE_TTL = 60000; // Reuse a bot's inventory count for 60 seconds
+const TRADE_ERROR_WINDOW = 60 * 60 * 1000; // Trade errors older than an hour drop out of the status
 
 // Critical errors that require re-login
 const criticalErrors = [
@@ -136,141 +112,477 @@ const tradeResponseErrors = [
   // "OKToDeliver" // 50
 ];
 
+/**
+ * Creates a bot with its own Steam client, community session and trade offer manager.
+ * Nothing connects to Steam until the bot logs in.
+ * @param {Object} config - The bot's account settings from config/bots.js.
+ * @returns {Object} The bot.
+ */
+function createBot(config) {
+  const { client, community, manager } = steamAdapter.createConnection(config);
+
+  const bot = {
+    id: config.id,
+    config,
+    client,
+    community,
+    manager,
+    isLoggedIn: false, // Flag to track login state
+    loginAttempts: 0,
+    reconnectAttempts: 0,
+    rateLimitedUntil: 0, // Timestamp until which the bot is left out of the pool
+    inventoryCount: null, // Cached number of items in the bot's inventory
+    inventoryCheckedAt: 0,
+    stopped: false, // Set when login gave up; an admin has to trigger a relogin
+    lastHeartbeatAt: null,
+    webSessionAt: null, // When the current web session was established
+    pendingConfirmations: null, // Mobile confirmations waiting at the last heartbeat
+    tradeErrors: [], // Recent trade errors: { message, at }
+  };
+
+  // Steam client event handlers
+  client.on('loggedOn', () => {
+    // Reset on successful login, so only consecutive failures count towards stopping the bot
+    bot.loginAttempts = 0;
+    bot.reconnectAttempts = 0;
+    bot.isLoggedIn = true;  // Set the login state to true
+    logger.info(`[${bot.id}] Steam client logged in and online`);
+    client.setPersona(SteamUser.EPersonaState.Online);
+    client.gamesPlayed([252490]); // Example game ID
+    notifyStatus(bot);
+  });
 
-let isLoggedIn = false;  // Flag to track login state
+  client.on('error', (err) => {
+    logger.error(`[${bot.id}] Steam client encountered an error: ${err}`);
 
-// Function to log in to Steam
-function loginToSteam() {
-  if (loginAttempts >= MAX_LOGIN_ATTEMPTS) {
-    logger.error('Max login attempts reached. Exiting...');
-    process.exit(1);
-  }
+    // Log error result for debugging
+    logger.info(`[${bot.id}] Error result: ${err.eresult}, Error message: ${err.message}`);
+
+    if (err.eresult === SteamUser.EResult.RateLimitExceeded) {
+      markRateLimited(bot);
+    }
 
-  logger.info(`Attempting to log in to Steam (Attempt ${loginAttempts + 1})...`);
-  client.logOn({
-    accountName: config.accountName,
-    password: config.password,
-    twoFactorCode: SteamTotp.generateAuthCode(config.sharedSecret)
+    // Check if the error is a critical error and requires a re-login
+    if (criticalErrors.includes(err.eresult)) {
+      logger.info(`[${bot.id}] Critical error encountered. Attempting to reconnect...`);
+      handleReconnect(bot);
+    } else {
+      logger.info(`[${bot.id}] Non-critical error encountered. No reconnect triggered.`);
+    }
   });
 
-  loginAttempts += 1;
+  client.on('disconnected', (eresult, msg) => {
+    logger.warn(`[${bot.id}] Disconnected from Steam (${eresult}): ${msg}.`);
+
+    // Only attempt reconnect if the bot is not logged in
+    if (!bot.isLoggedIn) {
+      logger.info(`[${bot.id}] Bot is not logged in, attempting reconnect.`);
+      handleReconnect(bot);  // Attempt re-login after exponential backoff
+    } else {
+      logger.info(`[${bot.id}] Bot is logged in, not reconnecting.`);
+    }
+    notifyStatus(bot);
+  });
+
+  client.on('webSession', (sessionId, cookies) => {
+    logger.info(`[${bot.id}] Web session established.`);
+    manager.setCookies(cookies);
+    community.setCookies(cookies);
+    community.startConfirmationChecker(20000, config.identitySecret);
+    bot.webSessionAt = new Date();
+    notifyStatus(bot);
+  });
+
+  return bot;
 }
 
-// Retry with exponential backoff
-function handleReconnect() {
-  if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
-    logger.error('Max reconnect attempts reached. Stopping...');
-    process.exit(1); // Exit after max attempts reached
-  }
+// The bot pool; the first bot also holds items deposited before the pool existed
+const bots = botConfigs.map(createBot);
+
+// Listeners called with a bot's status whenever it changes
+const statusListeners = [];
+
+/**
+ * Registers a listener for bot status changes.
+ * @param {Function} listener - Called with the status of the bot that changed.
+ */
+const onBotStatus = (listener) => {
+  statusListeners.push(listener);
+};
 
-  const delay = Math.pow(2, reconnectAttempts) * 1000; // Exponential backoff: 1s, 2s, 4s, 8s...
-  logger.info(`Attempting to reconnect in ${delay / 1000} seconds...`);
+/**
+ * Reports a bot's current health.
+ * @param {Object} bot - The bot.
+ * @returns {Object} The bot's status.
+ */
+function getBotStatus(bot) {
+  const recentErrors = bot.tradeErrors.filter(error => Date.now() - error.at < TRADE_ERROR_WINDOW);
+  const errorCounts = {};
+  recentErrors.forEach((error) => {
+    errorCounts[error.message] = (errorCounts[error.message] || 0) + 1;
+  });
+
+  return {
+    id: bot.id,
+    loggedIn: bot.isLoggedIn,
+    connected: Boolean(bot.client.steamID),
+    available: isBotAvailable(bot),
+    stopped: bot.stopped,
+    loginAttempts: bot.loginAttempts,
+    reconnectAttempts: bot.reconnectAttempts,
+    rateLimitedUntil: bot.rateLimitedUntil > Date.now() ? new Date(bot.rateLimitedUntil) : null,
+    lastHeartbeatAt: bot.lastHeartbeatAt,
+    webSessionAge: bot.webSessionAt ? Math.round((Date.now() - bot.webSessionAt) / 1000) : null, // Seconds
+    pendingConfirmations: bot.pendingConfirmations,
+    inventoryCount: bot.inventoryCount,
+    inventoryLimit: bot.config.inventoryLimit,
+    tradeErrors: {
+      total: recentErrors.length,
+      byMessage: errorCounts,
+    },
+  };
+}
 
-  reconnectAttempts++;
-  setTimeout(loginToSteam, delay); // Retry login with exponential backoff
+// Status of every bot in the pool
+const getBotStatuses = () => bots.map(getBotStatus);
+
+// Tell the status listeners that a bot changed
+function notifyStatus(bot) {
+  const status = getBotStatus(bot);
+  statusListeners.forEach((listener) => {
+    try {
+      listener(status);
+    } catch (err) {
+      logger.error(`[${bot.id}] Bot status listener failed: ${err.message}`);
+    }
+  });
 }
 
-// Log in to Steam initially
-loginToSteam();
+/**
+ * Counts a failed trade against a bot's status.
+ * @param {Object} bot - The bot.
+ * @param {Error} err - The error from steam-tradeoffer-manager.
+ */
+function recordTradeError(bot, err) {
+  const now = Date.now();
+  bot.tradeErrors = bot.tradeErrors.filter(error => now - error.at < TRADE_ERROR_WINDOW);
+  bot.tradeErrors.push({ message: (err && err.message) || String(err), at: now });
+}
 
-// Steam client event handlers
-client.on('loggedOn', () => {
-  loginAttempts = 0; // Reset on successful login
-  isLoggedIn = true;  // Set the login state to true
-  logger.info('Steam client logged in and online');
-  client.setPersona(SteamUser.EPersonaState.Online);
-  client.gamesPlayed([252490]); // Example game ID
-});
+/**
+ * Finds a bot by ID. Items and offers without a bot belong to the first bot.
+ * @param {string} [botId] - The bot's ID.
+ * @returns {Object|null} The bot.
+ */
+const getBot = (botId) => {
+  if (!botId) return bots[0];
+  return bots.find(bot => bot.id === botId) || null;
+};
 
-client.on('error', (err) => {
-  logger.error(`Steam client encountered an error: ${err}`);
+/**
+ * Whether a bot can send offers: logged in, connected and not rate-limited.
+ * @param {Object} bot - The bot.
+ * @returns {boolean}
+ */
+const isBotAvailable = (bot) => Boolean(
+  bot &&
+  bot.isLoggedIn &&
+  bot.client.steamID &&
+  bot.manager.steamID &&
+  Date.now() >= bot.rateLimitedUntil
+);
+
+// Read the login state from other modules: a given bot, or any bot in the pool
+const isBotLoggedIn = (botId) => {
+  if (botId !== undefined) return isBotAvailable(getBot(botId));
+  return bots.some(isBotAvailable);
+};
 
-  // Log error result for debugging
-  logger.info(`Error result: ${err.eresult}, Error message: ${err.message}`);
-  // isLoggedIn = false;
-  // Check if the error is a critical error and requires a re-login
-  if (criticalErrors.includes(err.eresult)) {
-    logger.info('Critical error encountered. Attempting to reconnect...');
-    handleReconnect();
-  } else {
-    logger.info('Non-critical error encountered. No reconnect triggered.');
+/**
+ * Leaves a bot out of the pool until Steam lifts its rate limit.
+ * @param {Object} bot - The bot.
+ */
+function markRateLimited(bot) {
+  bot.rateLimitedUntil = Date.now() + rateLimitCooldown * 1000;
+  logger.warn(`[${bot.id}] Rate-limited by Steam. Leaving it out of the pool for ${rateLimitCooldown} seconds.`);
+  notifyStatus(bot);
+}
+
+/**
+ * Whether a Steam error means the bot is sending too much.
+ * @param {Error} err - The error from steam-user or steam-tradeoffer-manager.
+ * @returns {boolean}
+ */
+const isRateLimitError = (err) => Boolean(err) && (
+  err.eresult === SteamUser.EResult.RateLimitExceeded ||
+  ['Too Soon', 'Too Soon Penalty'].includes(err.message) ||
+  /rate limit|HTTP error 429/i.test(err.message || '')
+);
+
+/**
+ * Fetches a bot's Rust inventory, untradable items included.
+ * @param {Object} bot - The bot.
+ * @returns {Promise<Array>} The inventory items.
+ */
+const getBotInventory = (bot) => {
+  return new Promise((resolve, reject) => {
+    bot.manager.getUserInventoryContents(bot.manager.steamID, '252490', '2', false, (err, inventory) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(inventory);
+    });
+  });
+};
+
+/**
+ * Counts the items in a bot's Rust inventory, cached for a short while.
+ * @param {Object} bot - The bot.
+ * @returns {Promise<number>}
+ */
+const getInventoryCount = (bot) => {
+  if (bot.inventoryCount !== null && Date.now() - bot.inventoryCheckedAt < INVENTORY_CACHE_TTL) {
+    return Promise.resolve(bot.inventoryCount);
   }
-});
 
-client.on('disconnected', (eresult, msg) => {
-  logger.warn(`Disconnected from Steam (${eresult}): ${msg}.`);
+  return getBotInventory(bot).then((inventory) => {
+    bot.inventoryCount = inventory.length;
+    bot.inventoryCheckedAt = Date.now();
+    return bot.inventoryCount;
+  });
+};
 
-  // Log the disconnection reason
-  logger.info(`Disconnected due to: ${eresult} - ${msg}`);
-  // isLoggedIn = false;
-  // Only attempt reconnect if the bot is not logged in
-  if (!isLoggedIn) {
-    logger.info('Bot is not logged in, attempting reconnect.');
-    handleReconnect();  // Attempt re-login after exponential backoff
-  } else {
-    logger.info('Bot is logged in, not reconnecting.');
+/**
+ * Picks the available bot with the most free inventory slots for a deposit.
+ * @param {number} itemCount - Number of items being deposited.
+ * @param {Array<string>} [excludeBotIds] - Bots that already failed this deposit.
+ * @returns {Promise<Object|null>} The bot, or null when no bot can take the items.
+ */
+async function selectDepositBot(itemCount, excludeBotIds = []) {
+  let selected = null;
+  let selectedFreeSlots = 0;
+
+  for (const bot of bots) {
+    if (excludeBotIds.includes(bot.id) || !isBotAvailable(bot)) continue;
+
+    let freeSlots;
+    try {
+      freeSlots = bot.config.inventoryLimit - await getInventoryCount(bot);
+    } catch (err) {
+      logger.warn(`[${bot.id}] Could not count inventory: ${err.message}`);
+      if (isRateLimitError(err)) markRateLimited(bot);
+      continue;
+    }
+
+    if (freeSlots >= itemCount && freeSlots > selectedFreeSlots) {
+      selected = bot;
+      selectedFreeSlots = freeSlots;
+    }
   }
-});
 
-client.on('webSession', (sessionId, cookies) => {
-  logger.info('Web session established.');
-  manager.setCookies(cookies);
-  community.setCookies(cookies);
-  community.startConfirmationChecker(20000, config.identitySecret);
-});
+  // The deposit will take up slots until the next inventory count
+  if (selected) {
+    selected.inventoryCount += itemCount;
+  }
 
-// Heartbeat to monitor connection status
-const HEARTBEAT_INTERVAL = 60000; // 60 seconds
+  return selected;
+}
 
-setInterval(() => {
-  // Use the 'isLoggedIn' flag to check bot status
-  if (!isLoggedIn) {
-    logger.warn('Bot is not logged in. Attempting to reconnect...');
-    handleReconnect(); // Attempt re-login if not logged in
-  } else {
-    logger.info('Heartbeat: Bot is online.');
+/**
+ * Stops retrying a bot's login until an admin triggers a relogin.
+ * @param {Object} bot - The bot.
+ * @param {string} reason - Why the bot stopped.
+ */
+function stopBot(bot, reason) {
+  bot.stopped = true;
+  bot.isLoggedIn = false;
+  logger.error(`[${bot.id}] ${reason} Waiting for an admin to trigger a relogin.`);
+  notifyStatus(bot);
+}
+
+// Function to log in to Steam
+function loginToSteam(bot = bots[0]) {
+  if (bot.stopped) return;
+
+  if (bot.loginAttempts >= MAX_LOGIN_ATTEMPTS) {
+    stopBot(bot, 'Max login attempts reached.');
+    return;
   }
-}, HEARTBEAT_INTERVAL);
 
-// Optional: Graceful shutdown handling
-process.on('SIGINT', () => {
-  logger.info('Received SIGINT. Shutting down gracefully...');
-  client.logOff();
-  process.exit(0);
-});
+  logger.info(`[${bot.id}] Attempting to log in to Steam (Attempt ${bot.loginAttempts + 1})...`);
+  steamAdapter.logOn(bot);
 
-process.on('SIGTERM', () => {
-  logger.info('Received SIGTERM. Shutting down gracefully...');
-  client.logOff();
-  process.exit(0);
-});
+  bot.loginAttempts += 1;
+}
 
-// Export the necessary components
-module.exports = {
-  client,
-  community,
-  manager,
-  loginToSteam,
-  handleReconnect,
-  config,
-  logger, // Optionally, export the logger if you want to log errors in other modules
-  criticalErrors,
-  tradeResponseErrors
-};
+// Retry with exponential backoff
+function handleReconnect(bot = bots[0]) {
+  if (bot.stopped) return;
 
+  if (bot.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+    stopBot(bot, 'Max reconnect attempts reached.');
+    return;
+  }
 
+  const delay = Math.pow(2, bot.reconnectAttempts) * 1000; // Exponential backoff: 1s, 2s, 4s, 8s...
+  logger.info(`[${bot.id}] Attempting to reconnect in ${delay / 1000} seconds...`);
 
+  bot.reconnectAttempts++;
+  setTimeout(() => loginToSteam(bot), delay); // Retry login with exponential backoff
+}
+
+/**
+ * Logs a bot in again from scratch, e.g. after it stopped or its web session went stale.
+ * @param {Object} bot - The bot.
+ */
+function reloginBot(bot) {
+  logger.info(`[${bot.id}] Relogin requested.`);
+  bot.stopped = false;
+  bot.loginAttempts = 0;
+  bot.reconnectAttempts = 0;
+
+  if (bot.client.steamID) {
+    try {
+      bot.client.relog();
+    } catch (err) {
+      // Log off first, then log in with the account's credentials
+      bot.client.once('disconnected', () => {
+        bot.isLoggedIn = false;
+        loginToSteam(bot);
+      });
+      bot.client.logOff();
+    }
+  } else {
+    bot.isLoggedIn = false;
+    loginToSteam(bot);
+  }
 
+  notifyStatus(bot);
+}
 
+/**
+ * Renews a bot's web session after Steam rejected its cookies, logging in again if it is disconnected.
+ * @param {Object} bot - The bot.
+ */
+function refreshWebSession(bot) {
+  if (bot.client.steamID) {
+    logger.info(`[${bot.id}] Refreshing web session.`);
+    bot.client.webLogOn();
+  } else {
+    reloginBot(bot);
+  }
+}
 
+/**
+ * Counts the mobile confirmations waiting for a bot.
+ * @param {Object} bot - The bot.
+ */
+function checkConfirmations(bot) {
+  steamAdapter.getConfirmations(bot, (err, confirmations) => {
+    if (err) {
+      logger.warn(`[${bot.id}] Could not fetch confirmations: ${err.message}`);
+      return;
+    }
+    bot.pendingConfirmations = confirmations.length;
+    notifyStatus(bot);
+  });
+}
 
+// Heartbeat to monitor connection status
+const HEARTBEAT_INTERVAL = 60000; // 60 seconds
 
+let heartbeatInterval = null;
+
+/**
+ * Checks every bot's connection, reconnecting the ones that dropped.
+ */
+function heartbeat() {
+  bots.forEach((bot) => {
+    if (bot.stopped) {
+      notifyStatus(bot);
+      return;
+    }
+
+    // Use the 'isLoggedIn' flag to check bot status
+    if (!bot.isLoggedIn) {
+      logger.warn(`[${bot.id}] Bot is not logged in. Attempting to reconnect...`);
+      handleReconnect(bot); // Attempt re-login if not logged in
+    } else {
+      logger.info(`[${bot.id}] Heartbeat: Bot is online.`);
+      bot.lastHeartbeatAt = new Date();
+      if (bot.webSessionAt) {
+        checkConfirmations(bot);
+      }
+    }
+    notifyStatus(bot);
+  });
+}
 
+/**
+ * Logs every bot off and exits.
+ * @param {string} signal - The signal that stopped the server.
+ */
+function shutdown(signal) {
+  logger.info(`Received ${signal}. Shutting down gracefully...`);
+  bots.forEach(bot => bot.client.logOff());
+  process.exit(0);
+}
 
+/**
+ * Logs every bot in and starts the heartbeat.
+ * Requiring this module does not touch Steam; the server calls this once at startup.
+ * A bot whose credentials are incomplete is logged as an error and left stopped; the others still start.
+ */
+function startBots() {
+  if (heartbeatInterval) return;
+
+  if (botConfigs.length === 0) {
+    logger.error('No bot accounts are configured; STEAM_BOTS lists none.');
+    return;
+  }
 
+  // Log in every bot with complete Steam credentials
+  bots.forEach((bot) => {
+    const { accountName, password, sharedSecret, identitySecret } = bot.config;
+    if (steamAdapter.requiresCredentials && (!accountName || !password || !sharedSecret || !identitySecret)) {
+      logger.error(`[${bot.id}] Steam credentials are not fully set. The bot stays stopped.`);
+      bot.stopped = true;
+      notifyStatus(bot);
+      return;
+    }
+    loginToSteam(bot);
+  });
 
+  heartbeatInterval = setInterval(heartbeat, HEARTBEAT_INTERVAL);
 
+  // Optional: Graceful shutdown handling
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
 
+// Export the necessary components
+module.exports = {
+  bots,
+  getBot,
+  isBotAvailable,
+  isBotLoggedIn,
+  isRateLimitError,
+  markRateLimited,
+  selectDepositBot,
+  getBotInventory,
+  recordTradeError,
+  getBotStatus,
+  getBotStatuses,
+  onBotStatus,
+  reloginBot,
+  refreshWebSession,
+  startBots,
+  loginToSteam,
+  handleReconnect,
+  logger, // Optionally, export the logger if you want to log errors in other modules
+  criticalErrors,
+  tradeResponseErrors
+};
 
 // const SteamUser = require('steam-user');
 // const SteamCommunity = require('steamcommunity');
@@ -1167,13 +1479,3 @@ module.exports = {
 // });
 
 // module.exports = { manager };
-
-
-
-
-
-
-
-
-
-
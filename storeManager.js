@@ -0,0 +1,469 @@
+// storeManager.js
+const mongoose = require('mongoose');
+const Item = require('./models/itemSchema');
+const User = require('./models/userSchema');
+const Jackpot = require('./models/jackpotSchema');
+const Coinflip = require('./models/coinflipSchema');
+const Withdrawal = require('./models/withdrawalSchema');
+const Transaction = require('./models/transactionSchema');
+const TradeOffer = require('./models/tradeOfferSchema');
+const io = require('./socket');
+const { bots, getBot, getBotInventory, isBotAvailable } = require('./steamTradeBot');
+const {
+  registerOfferHandler,
+  trackTradeOffer,
+  applyRetryPolicy,
+  cancelOffer,
+  getActiveSentOffers,
+  openOfferStates,
+} = require('./utils/tradeOffers');
+const { tradeError } = require('./utils/tradeErrors');
+const { getMarketPrices } = require('./utils/getInventory');
+const { postTransaction } = require('./ledgerManager');
+
+/**
+ * Store settings
+ */
+const STORE_CACHE_TTL = 30000; // Reuse a bot's store listing for 30 seconds
+const WITHDRAWAL_MESSAGE = 'Here are the items you bought with your site balance.';
+const RECOVERY_RETRY_DELAY = 30000; // Wait this long for a bot to log in before recovering its withdrawals
+
+// Bot ID -> { items, listedAt }
+const storeCache = {};
+
+// Round an amount to cents
+const toCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Finds which of a bot's items belong to the house: commission kept from finished games,
+ * and skins users sold for balance.
+ * @param {Array} itemIds - Item IDs.
+ * @returns {Promise<Set<string>>} IDs of the house items.
+ */
+async function findHouseItemIds(itemIds) {
+  const [jackpots, coinflips, skinDeposits] = await Promise.all([
+    Jackpot.find({ status: 'completed', commissionItems: { $in: itemIds } }).select('commissionItems'),
+    Coinflip.find({ status: 'completed', commissionItems: { $in: itemIds } }).select('commissionItems'),
+    Transaction.find({ type: 'skinDeposit', items: { $in: itemIds } }).select('items'),
+  ]);
+
+  const houseItemIds = new Set();
+  jackpots.concat(coinflips).forEach((game) => {
+    game.commissionItems.forEach((itemId) => houseItemIds.add(String(itemId)));
+  });
+  skinDeposits.forEach((transaction) => {
+    transaction.items.forEach((itemId) => houseItemIds.add(String(itemId)));
+  });
+  return houseItemIds;
+}
+
+/**
+ * Lists the assets of a bot that are for sale: tradable, priced, and not reserved for a game,
+ * a payout or an open withdrawal. House items and assets the site does not track are for sale.
+ * Deposits that are still open, or accepted but not recorded yet, hold a copy of each of their
+ * items by name, since their assets may already be in the inventory without an Item.bot.
+ * @param {Object} bot - The bot.
+ * @returns {Promise<Array>} { bot, assetId, name, iconUrl, price, item } for each asset, most expensive first.
+ */
+async function listBotStoreItems(bot) {
+  const [inventory, prices, botItems, withdrawals, deposits] = await Promise.all([
+    getBotInventory(bot),
+    getMarketPrices(),
+    Item.find({ bot: bot.id }).select('name botAssetId'),
+    Withdrawal.find({ bot: bot.id, active: true }).select('assets.assetId'),
+    TradeOffer.find({
+      bot: bot.id,
+      type: 'deposit',
+      $or: [
+        { state: { $in: openOfferStates } },
+        { state: 'Accepted', handledAt: { $type: 'null' } },
+      ],
+    }).select('items'),
+  ]);
+  const [houseItemIds, depositItems] = await Promise.all([
+    findHouseItemIds(botItems.map((item) => item._id)),
+    Item.find({ _id: { $in: deposits.flatMap((deposit) => deposit.items) } }).select('name'),
+  ]);
+
+  const reservedAssetIds = new Set();
+  withdrawals.forEach((withdrawal) => {
+    withdrawal.assets.forEach((asset) => reservedAssetIds.add(asset.assetId));
+  });
+
+  // House items are sold along with their asset; the others hold theirs
+  // Items deposited before asset IDs were recorded hold (or sell) any copy with their name
+  const houseItemByAssetId = {};
+  const houseItemsByName = {};
+  const reservedNames = {};
+  botItems.forEach((item) => {
+    const isHouseItem = houseItemIds.has(String(item._id));
+    if (item.botAssetId) {
+      if (isHouseItem) houseItemByAssetId[item.botAssetId] = item._id;
+      else reservedAssetIds.add(item.botAssetId);
+    } else if (isHouseItem) {
+      houseItemsByName[item.name] = (houseItemsByName[item.name] || []).concat(item._id);
+    } else {
+      reservedNames[item.name] = (reservedNames[item.name] || 0) + 1;
+    }
+  });
+  depositItems.forEach((item) => {
+    reservedNames[item.name] = (reservedNames[item.name] || 0) + 1;
+  });
+
+  const storeItems = [];
+  inventory.forEach((asset) => {
+    if (!asset.tradable || reservedAssetIds.has(asset.assetid)) return;
+
+    const name = asset.market_hash_name;
+    if (reservedNames[name]) {
+      reservedNames[name] -= 1;
+      return;
+    }
+
+    const price = prices[name];
+    if (!price) return;
+
+    let item = houseItemByAssetId[asset.assetid] || null;
+    if (!item && houseItemsByName[name] && houseItemsByName[name].length > 0) {
+      item = houseItemsByName[name].shift();
+    }
+
+    storeItems.push({
+      bot: bot.id,
+      assetId: asset.assetid,
+      name,
+      iconUrl: asset.icon_url ? `https://steamcommunity-a.akamaihd.net/economy/image/${asset.icon_url}` : null,
+      price,
+      item,
+    });
+  });
+
+  storeItems.sort((a, b) => b.price - a.price);
+  storeCache[bot.id] = { items: storeItems, listedAt: Date.now() };
+  return storeItems;
+}
+
+/**
+ * Lists the items for sale in every available bot.
+ * Bots whose inventory cannot be loaded are left out.
+ * @returns {Promise<Array>} { bot, assetId, name, iconUrl, price } for each asset, most expensive first.
+ */
+async function getStoreItems() {
+  const storeItems = [];
+
+  for (const bot of bots) {
+    if (!isBotAvailable(bot)) continue;
+
+    const cached = storeCache[bot.id];
+    try {
+      const items = cached && Date.now() - cached.listedAt < STORE_CACHE_TTL
+        ? cached.items
+        : await listBotStoreItems(bot);
+      storeItems.push(...items);
+    } catch (error) {
+      console.error(`Failed to list the store items of bot ${bot.id}:`, error.message);
+    }
+  }
+
+  return storeItems
+    .sort((a, b) => b.price - a.price)
+    .map(({ item, ...storeItem }) => storeItem);
+}
+
+/**
+ * Notifies a user about a withdrawal status change.
+ * @param {Object} withdrawal - The withdrawal document.
+ * @param {string} steamId - The user's SteamID64.
+ */
+function emitWithdrawalUpdate(withdrawal, steamId) {
+  io.emitToUser(steamId, 'withdrawalUpdate', {
+    withdrawalId: withdrawal._id,
+    status: withdrawal.status,
+    total: withdrawal.total,
+    offerId: withdrawal.offerId,
+    errorCode: withdrawal.lastErrorCode,
+  });
+}
+
+/**
+ * Gives a user back what they paid for a withdrawal. The refund is recorded once per withdrawal.
+ * @param {Object} withdrawal - { _id, user, total } of the withdrawal.
+ * @param {string} reason - Why it is refunded.
+ */
+async function refundPurchase(withdrawal, reason) {
+  await postTransaction({
+    reference: `refund:${withdrawal._id}`,
+    type: 'refund',
+    user: withdrawal.user,
+    amount: withdrawal.total,
+    withdrawal: withdrawal._id,
+    memo: reason,
+    entries: [
+      { account: 'house', amount: -withdrawal.total },
+      { account: 'balance', user: withdrawal.user, amount: withdrawal.total },
+    ],
+  });
+}
+
+/**
+ * Ends a withdrawal that failed and gives the user their balance back.
+ * Only the first caller refunds; later calls for the same withdrawal do nothing.
+ * @param {Object} withdrawal - The withdrawal document.
+ * @param {string} reason - Why it failed.
+ * @param {string} [errorCode] - Trade error code of the failure.
+ * @returns {Promise<Object|null>} The refunded withdrawal, or null if it was no longer open.
+ */
+async function refundWithdrawal(withdrawal, reason, errorCode) {
+  const refunded = await Withdrawal.findOneAndUpdate(
+    { _id: withdrawal._id, status: { $in: ['pending', 'sending', 'sent'] } },
+    { status: 'refunded', active: false, lastError: reason, lastErrorCode: errorCode, updatedAt: new Date() },
+    { new: true }
+  );
+  if (!refunded) return null;
+
+  await refundPurchase(refunded, reason);
+
+  const user = await User.findById(refunded.user).select('steamId');
+  console.log(`Withdrawal ${refunded._id} refunded (${refunded.total}): ${reason}`);
+  if (user) emitWithdrawalUpdate(refunded, user.steamId);
+
+  return refunded;
+}
+
+/**
+ * Sends the offer for a withdrawal from the bot holding its assets.
+ * @param {Object} bot - The bot.
+ * @param {Object} withdrawal - The withdrawal document.
+ * @param {string} tradeUrl - The user's trade URL.
+ * @returns {Promise<string>} The trade offer ID.
+ */
+function sendWithdrawalOffer(bot, withdrawal, tradeUrl) {
+  const offer = bot.manager.createOffer(tradeUrl);
+  withdrawal.assets.forEach((asset) => {
+    offer.addMyItem({ assetid: asset.assetId, appid: 252490, contextid: '2' });
+  });
+  offer.setMessage(WITHDRAWAL_MESSAGE);
+
+  return new Promise((resolve, reject) => {
+    offer.send((err) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(offer.id);
+    });
+  });
+}
+
+/**
+ * Buys store items with a user's balance and sends them to the user.
+ * The balance is debited first and refunded if the offer cannot be sent, is declined or expires.
+ * @param {Object} user - The user document (with a trade URL).
+ * @param {string} botId - The bot selling the items.
+ * @param {Array<string>} assetIds - Asset IDs from the store listing.
+ * @returns {Promise<Object>} The withdrawal document, with its offer sent.
+ * @throws {Object} A structured trade error (utils/tradeErrors.js).
+ */
+async function withdraw(user, botId, assetIds) {
+  const bot = getBot(botId);
+  if (!bot || !isBotAvailable(bot)) {
+    throw tradeError('BOT_UNAVAILABLE');
+  }
+
+  // Price the items from a fresh listing so nothing sold or reserved meanwhile slips through
+  const storeItems = await listBotStoreItems(bot);
+  const selected = assetIds.map((assetId) => storeItems.find((storeItem) => storeItem.assetId === assetId));
+  if (selected.some((storeItem) => !storeItem)) {
+    throw tradeError('STORE_ITEMS_UNAVAILABLE');
+  }
+
+  const total = toCents(selected.reduce((acc, storeItem) => acc + storeItem.price, 0));
+
+  // Debit only if the balance covers the total, so parallel withdrawals cannot overdraw it
+  const withdrawalId = new mongoose.Types.ObjectId();
+  try {
+    await postTransaction({
+      reference: `purchase:${withdrawalId}`,
+      type: 'purchase',
+      user: user._id,
+      amount: total,
+      withdrawal: withdrawalId,
+      entries: [
+        { account: 'balance', user: user._id, amount: -total },
+        { account: 'house', amount: total },
+      ],
+    }, { requireFunds: true });
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_BALANCE') {
+      throw tradeError('INSUFFICIENT_BALANCE');
+    }
+    throw error;
+  }
+
+  let withdrawal;
+  try {
+    withdrawal = await Withdrawal.create({
+      _id: withdrawalId,
+      user: user._id,
+      bot: bot.id,
+      assets: selected.map((storeItem) => ({
+        assetId: storeItem.assetId,
+        name: storeItem.name,
+        price: storeItem.price,
+        item: storeItem.item,
+      })),
+      total,
+    });
+  } catch (error) {
+    await refundPurchase({ _id: withdrawalId, user: user._id, total }, error.message);
+    // Another withdrawal reserved one of the assets first
+    if (error.code === 11000) {
+      throw tradeError('STORE_ITEMS_UNAVAILABLE');
+    }
+    throw error;
+  }
+  delete storeCache[bot.id];
+
+  // From here on a restart may leave a live offer behind, which recoverWithdrawals looks for
+  await Withdrawal.updateOne({ _id: withdrawal._id, status: 'pending' }, { status: 'sending', updatedAt: new Date() });
+
+  let offerId;
+  try {
+    offerId = await sendWithdrawalOffer(bot, withdrawal, user.tradeUrl);
+  } catch (error) {
+    console.error(`Failed to send withdrawal ${withdrawal._id}:`, error.message);
+    const tradeErr = applyRetryPolicy(bot, error);
+    await refundWithdrawal(withdrawal, error.message, tradeErr.code);
+    throw tradeErr;
+  }
+
+  withdrawal = await Withdrawal.findOneAndUpdate(
+    { _id: withdrawal._id, status: 'sending' },
+    { status: 'sent', offerId, updatedAt: new Date() },
+    { new: true }
+  ) || withdrawal;
+  emitWithdrawalUpdate(withdrawal, user.steamId);
+
+  try {
+    await trackTradeOffer(offerId, {
+      bot: bot.id,
+      type: 'withdrawal',
+      purpose: 'withdrawal',
+      user: user._id,
+      items: withdrawal.assets.filter((asset) => asset.item).map((asset) => asset.item),
+      withdrawal: withdrawal._id,
+    });
+  } catch (error) {
+    // Refund only an offer that can no longer be accepted; a live one is left for an admin
+    if (error.offerCancelled) {
+      await refundWithdrawal(withdrawal, `Trade offer ${offerId} could not be tracked: ${error.message}`);
+    } else {
+      console.error(`Withdrawal ${withdrawal._id} has an untracked live trade offer ${offerId}.`);
+    }
+    throw error;
+  }
+
+  return withdrawal;
+}
+
+// Complete withdrawals once the user accepts, refund them if the offer ends any other way
+registerOfferHandler('withdrawal', {
+  onAccepted: async (record) => {
+    const withdrawal = await Withdrawal.findOneAndUpdate(
+      { _id: record.withdrawal, status: 'sent' },
+      { status: 'accepted', active: false, updatedAt: new Date() },
+      { new: true }
+    );
+    if (!withdrawal) return;
+
+    const user = await User.findById(withdrawal.user);
+    if (user) emitWithdrawalUpdate(withdrawal, user.steamId);
+    console.log(`Withdrawal ${withdrawal._id} accepted.`);
+  },
+  onDeclined: async (record) => {
+    const withdrawal = await Withdrawal.findById(record.withdrawal);
+    if (!withdrawal) return;
+
+    await refundWithdrawal(withdrawal, `Trade offer ${record.state}`);
+  },
+});
+
+/**
+ * Settles withdrawals of a bot that stopped while their offer was being sent.
+ * Any offer that went out for their assets is cancelled before the balance is refunded.
+ * Withdrawals whose assets already left the bot are left for an admin.
+ * @param {Object} bot - The bot.
+ * @param {Array} withdrawals - The bot's withdrawals in 'sending'.
+ */
+async function recoverSendingWithdrawals(bot, withdrawals) {
+  const [sentOffers, inventory] = await Promise.all([getActiveSentOffers(bot), getBotInventory(bot)]);
+  const inInventory = new Set(inventory.map((asset) => String(asset.assetid)));
+
+  for (const withdrawal of withdrawals) {
+    const assetIds = withdrawal.assets.map((asset) => asset.assetId);
+    const liveOffers = sentOffers.filter((offer) =>
+      offer.itemsToGive.some((item) => assetIds.includes(String(item.assetid)))
+    );
+
+    try {
+      for (const offer of liveOffers) {
+        await cancelOffer(offer);
+        console.log(`Cancelled trade offer ${offer.id} of withdrawal ${withdrawal._id}.`);
+      }
+    } catch (error) {
+      console.error(`Failed to cancel the trade offer of withdrawal ${withdrawal._id}:`, error.message);
+      continue;
+    }
+
+    if (assetIds.every((assetId) => inInventory.has(assetId))) {
+      await refundWithdrawal(withdrawal, 'The server restarted while the trade offer was being sent.');
+    } else {
+      console.error(`Withdrawal ${withdrawal._id} was interrupted while sending and its items left bot ${bot.id}. Check it manually.`);
+    }
+  }
+}
+
+/**
+ * Refunds withdrawals whose offer was never sent because the server stopped in between.
+ * Withdrawals stopped while sending are checked against their bot's offers once it is logged in.
+ */
+async function recoverWithdrawals() {
+  const stranded = await Withdrawal.find({ status: 'pending' });
+  for (const withdrawal of stranded) {
+    await refundWithdrawal(withdrawal, 'The server restarted before the trade offer was sent.');
+  }
+
+  const sending = await Withdrawal.find({ status: 'sending' });
+  const byBot = {};
+  sending.forEach((withdrawal) => {
+    byBot[withdrawal.bot] = (byBot[withdrawal.bot] || []).concat(withdrawal);
+  });
+
+  for (const [botId, withdrawals] of Object.entries(byBot)) {
+    const bot = getBot(botId);
+    if (!bot) {
+      console.error(`Withdrawals of unknown bot ${botId} were interrupted while sending. Check them manually.`);
+      continue;
+    }
+
+    const recover = async () => {
+      if (!isBotAvailable(bot)) {
+        setTimeout(recover, RECOVERY_RETRY_DELAY);
+        return;
+      }
+      try {
+        await recoverSendingWithdrawals(bot, withdrawals);
+      } catch (error) {
+        console.error(`Failed to recover the withdrawals of bot ${botId}:`, error.message);
+        setTimeout(recover, RECOVERY_RETRY_DELAY);
+      }
+    };
+    await recover();
+  }
+}
+
+module.exports = {
+  getStoreItems,
+  withdraw,
+  refundWithdrawal,
+  recoverWithdrawals,
+};
@@ -0,0 +1,59 @@
+// test/commission.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const selectCommissionItems = require('../utils/commission');
+
+const toItems = (prices) => prices.map((price, index) => ({ _id: `item-${index}`, price }));
+const sum = (items) => Math.round(items.reduce((acc, item) => acc + item.price * 100, 0));
+
+test('keeps the combination closest to the commission without going over', () => {
+  const items = toItems([0.6, 0.5, 0.45, 9]);
+  const result = selectCommissionItems(items, 10, 10.55);
+
+  assert.strictEqual(result.targetValue, 1.05);
+  assert.deepStrictEqual(result.commissionItems.map((item) => item.price).sort(), [0.45, 0.6]);
+  assert.strictEqual(result.commissionValue, 1.05);
+  assert.strictEqual(result.balanceCredit, 0);
+  assert.strictEqual(result.winnerItems.length, 2);
+});
+
+test('keeps the cheapest item and credits the overage when nothing fits', () => {
+  const result = selectCommissionItems(toItems([5, 6]), 10, 11);
+
+  assert.deepStrictEqual(result.commissionItems.map((item) => item.price), [5]);
+  assert.strictEqual(result.balanceCredit, 3.9);
+  assert.strictEqual(Math.round(result.commissionValue * 100), 110);
+});
+
+test('keeps nothing without a commission', () => {
+  const result = selectCommissionItems(toItems([1, 2]), 0, 3);
+  assert.strictEqual(result.commissionItems.length, 0);
+  assert.strictEqual(result.winnerItems.length, 2);
+});
+
+test('large pots are split quickly and never over the target', () => {
+  // Too large for an exact search in cents, searched in whole dollars instead
+  const prices = Array.from({ length: 300 }, (value, index) => 20 + ((index * 37) % 2000) / 100);
+  const items = toItems(prices);
+  const total = sum(items) / 100;
+
+  const startedAt = Date.now();
+  const result = selectCommissionItems(items, 10, total);
+  assert.ok(Date.now() - startedAt < 1000);
+
+  assert.ok(sum(result.commissionItems) <= Math.round(result.targetValue * 100));
+  assert.ok(sum(result.commissionItems) > Math.round(result.targetValue * 100) - 4000);
+  assert.strictEqual(result.commissionItems.length + result.winnerItems.length, items.length);
+});
+
+test('huge pots fall back to a greedy pick', () => {
+  const items = toItems(Array.from({ length: 3000 }, (value, index) => 90 + (index % 20)));
+  const total = sum(items) / 100;
+
+  const startedAt = Date.now();
+  const result = selectCommissionItems(items, 10, total);
+  assert.ok(Date.now() - startedAt < 1000);
+
+  assert.ok(sum(result.commissionItems) <= Math.round(result.targetValue * 100));
+  assert.ok(result.commissionItems.length > 0);
+});
@@ -0,0 +1,89 @@
+// test/ledger.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Transaction = require('../models/transactionSchema');
+const { getUserIncrements } = require('../ledgerManager');
+
+const userId = new mongoose.Types.ObjectId();
+
+test('transactions must add up to zero, to the cent', async () => {
+  await new Transaction({
+    reference: 'test:balanced',
+    type: 'purchase',
+    user: userId,
+    amount: 0.3,
+    entries: [
+      { account: 'balance', user: userId, amount: -(0.1 + 0.2) },
+      { account: 'house', amount: 0.3 },
+    ],
+  }).validate();
+
+  await assert.rejects(
+    new Transaction({
+      reference: 'test:unbalanced',
+      type: 'adjustment',
+      amount: 1,
+      entries: [
+        { account: 'balance', user: userId, amount: 1 },
+        { account: 'house', amount: -0.99 },
+      ],
+    }).validate(),
+    /off by 1 cents/
+  );
+});
+
+test('deposits count towards deposited and take from profit', () => {
+  const increments = getUserIncrements({
+    type: 'deposit',
+    user: userId,
+    amount: 12.34,
+    entries: [
+      { account: 'steam', amount: -12.34 },
+      { account: 'pot', amount: 12.34 },
+    ],
+  });
+
+  assert.deepStrictEqual(increments, { [String(userId)]: { deposited: 12.34, profit: -12.34 } });
+});
+
+test('wins count towards totalWon and profit, and credit the balance leg', () => {
+  const increments = getUserIncrements({
+    type: 'win',
+    user: userId,
+    amount: 20.1,
+    entries: [
+      { account: 'pot', amount: -20.1 },
+      { account: 'steam', amount: 19.9 },
+      { account: 'balance', user: userId, amount: 0.1 },
+      { account: 'balance', user: userId, amount: 0.1 },
+    ],
+  });
+
+  assert.deepStrictEqual(increments, { [String(userId)]: { balance: 0.2, totalWon: 20.1, profit: 20.1 } });
+});
+
+test('purchases only move the balance', () => {
+  const increments = getUserIncrements({
+    type: 'purchase',
+    user: userId,
+    amount: 5,
+    entries: [
+      { account: 'balance', user: userId, amount: -5 },
+      { account: 'house', amount: 5 },
+    ],
+  });
+
+  assert.deepStrictEqual(increments, { [String(userId)]: { balance: -5 } });
+});
+
+test('profit openings only count towards profit', () => {
+  const increments = getUserIncrements({
+    type: 'profit',
+    user: userId,
+    amount: -7.5,
+    entries: [],
+  });
+
+  assert.deepStrictEqual(increments, { [String(userId)]: { profit: -7.5 } });
+});
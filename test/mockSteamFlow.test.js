@@ -0,0 +1,111 @@
+// test/mockSteamFlow.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const { EOfferFilter } = require('steam-tradeoffer-manager');
+const mockSteam = require('../adapters/mockSteamAdapter');
+const { generateServerSeed, buildClientSeed, drawWinningTicket } = require('../utils/provablyFair');
+const selectCommissionItems = require('../utils/commission');
+
+// A jackpot round played through the simulated Steam: two deposits, the draw and the winner's payout
+// The database side (controllers, managers, offer tracking) needs MongoDB and is not covered here
+
+const STEAM_ID64_BASE = BigInt('76561197960265728');
+const prices = { 'Metal Door': 4, 'Tempered AK47': 30, 'Garage Door': 6 };
+
+const users = [
+  { id: 'user-a', accountId: 1001, items: ['Metal Door', 'Tempered AK47'] },
+  { id: 'user-b', accountId: 1002, items: ['Garage Door'] },
+];
+users.forEach((user) => {
+  user.steamId64 = (STEAM_ID64_BASE + BigInt(user.accountId)).toString();
+  user.tradeUrl = `https://steamcommunity.com/tradeoffer/new/?partner=${user.accountId}&token=abcdEFGH`;
+});
+
+const { manager } = mockSteam.createConnection({ id: 'flow-bot' });
+const botSteamId64 = mockSteam.getBotSteamId('flow-bot');
+
+const call = (fn, ...args) => new Promise((resolve, reject) => {
+  fn(...args, (err, result) => (err ? reject(err) : resolve(result)));
+});
+
+// Send an offer and settle it the way the site would see it: through sentOfferChanged
+async function settleOffer(offer, state) {
+  await call(offer.send.bind(offer));
+  const changed = once(manager, 'sentOfferChanged');
+  mockSteam.setOfferState(offer.id, state);
+  const [changedOffer] = await changed;
+  return changedOffer;
+}
+
+test.before(async () => {
+  mockSteam.reset();
+  await call(manager.setCookies.bind(manager), []);
+  users.forEach((user) => mockSteam.setInventory(user.steamId64, user.items.map((name) => ({ name }))));
+});
+
+test('a declined deposit leaves the items with the user', async () => {
+  const [user] = users;
+  const offer = manager.createOffer(user.tradeUrl);
+  mockSteam.getInventory(user.steamId64).forEach((item) => offer.addTheirItem(item));
+
+  const changed = await settleOffer(offer, 'Declined');
+  assert.strictEqual(changed.id, offer.id);
+  assert.deepStrictEqual(mockSteam.getInventory(user.steamId64).map((item) => item.name), user.items);
+  assert.deepStrictEqual(mockSteam.getInventory(botSteamId64), []);
+});
+
+test('deposits, draws and pays out a round', async () => {
+  // Deposit: each user's items move to the bot under new asset IDs
+  const participants = [];
+  for (const user of users) {
+    const offer = manager.createOffer(user.tradeUrl);
+    mockSteam.getInventory(user.steamId64).forEach((item) => offer.addTheirItem(item));
+
+    const accepted = await settleOffer(offer, 'Accepted');
+    const received = await call(accepted.getReceivedItems.bind(accepted));
+    assert.strictEqual(received.length, user.items.length);
+
+    participants.push({
+      user: user.id,
+      items: received.map((item) => ({ _id: item.assetid, name: item.market_hash_name, price: prices[item.market_hash_name] })),
+    });
+    assert.deepStrictEqual(mockSteam.getInventory(user.steamId64), []);
+  }
+  assert.strictEqual(mockSteam.getInventory(botSteamId64).length, 3);
+
+  // Round: draw the winner and split off the commission
+  const draw = drawWinningTicket(participants, generateServerSeed(), buildClientSeed(participants), 1);
+  assert.strictEqual(draw.totalTickets, 4000);
+  const winner = users[draw.winnerIndex];
+
+  const potItems = participants.flatMap((participant) => participant.items);
+  const { commissionItems, winnerItems } = selectCommissionItems(potItems, 10, 40);
+  assert.deepStrictEqual(commissionItems.map((item) => item.name), ['Metal Door']);
+
+  // Payout: the winner gets everything but the commission, which stays with the bot
+  const payout = manager.createOffer(winner.tradeUrl);
+  winnerItems.forEach((item) => payout.addMyItem({ assetid: item._id, appid: 252490, contextid: '2' }));
+  await settleOffer(payout, 'Accepted');
+
+  assert.deepStrictEqual(
+    mockSteam.getInventory(winner.steamId64).map((item) => item.name).sort(),
+    ['Garage Door', 'Tempered AK47']
+  );
+  assert.deepStrictEqual(mockSteam.getInventory(botSteamId64).map((item) => item.name), ['Metal Door']);
+  assert.strictEqual(mockSteam.getOffers('Active').length, 0);
+});
+
+test('the bot lists and cancels its active offers', async () => {
+  const [commission] = mockSteam.getInventory(botSteamId64);
+  const offer = manager.createOffer(users[0].tradeUrl);
+  offer.addMyItem(commission);
+  await call(offer.send.bind(offer));
+
+  const active = await call(manager.getOffers.bind(manager), EOfferFilter.ActiveOnly);
+  assert.deepStrictEqual(active.map((sent) => sent.id), [offer.id]);
+
+  await call(offer.cancel.bind(offer));
+  assert.deepStrictEqual(await call(manager.getOffers.bind(manager), EOfferFilter.ActiveOnly), []);
+  assert.deepStrictEqual(mockSteam.getInventory(botSteamId64).map((item) => item.name), ['Metal Door']);
+});
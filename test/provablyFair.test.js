@@ -0,0 +1,75 @@
+// test/provablyFair.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  generateServerSeed,
+  hashServerSeed,
+  priceToTickets,
+  buildClientSeed,
+  getRoll,
+  drawWinningTicket,
+  drawUnverifiableTicket,
+} = require('../utils/provablyFair');
+
+const participants = [
+  { user: 'user-a', items: [{ _id: 'item-1', price: '1.50 USD' }, { _id: 'item-2', price: '0.25' }] },
+  { user: 'user-b', items: [{ _id: 'item-3', price: 3 }] },
+];
+
+test('server seeds are random and hashed with SHA-256', () => {
+  const seed = generateServerSeed();
+  assert.match(seed, /^[0-9a-f]{64}$/);
+  assert.notStrictEqual(generateServerSeed(), seed);
+  assert.strictEqual(hashServerSeed('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+});
+
+test('prices become whole tickets (cents)', () => {
+  assert.strictEqual(priceToTickets('1.23 USD'), 123);
+  assert.strictEqual(priceToTickets(0.1 + 0.2), 30);
+  assert.strictEqual(priceToTickets('n/a'), 0);
+});
+
+test('the client seed depends on every deposit and their order', () => {
+  const seed = buildClientSeed(participants);
+  assert.strictEqual(buildClientSeed(participants), seed);
+  assert.notStrictEqual(buildClientSeed(participants.slice().reverse()), seed);
+  assert.notStrictEqual(buildClientSeed([participants[0]]), seed);
+});
+
+test('rolls are deterministic and in [0, 1)', () => {
+  const roll = getRoll('server', 'client', 1);
+  assert.strictEqual(getRoll('server', 'client', 1), roll);
+  assert.notStrictEqual(getRoll('server', 'client', 2), roll);
+  for (let nonce = 0; nonce < 100; nonce++) {
+    const value = getRoll(generateServerSeed(), 'client', nonce);
+    assert.ok(value >= 0 && value < 1);
+  }
+});
+
+test('the winning ticket falls in the winner\'s range', () => {
+  const serverSeed = generateServerSeed();
+  const clientSeed = buildClientSeed(participants);
+  const draw = drawWinningTicket(participants, serverSeed, clientSeed, 7);
+
+  assert.strictEqual(draw.totalTickets, 475);
+  assert.deepStrictEqual(draw.ranges, [{ from: 0, to: 175 }, { from: 175, to: 475 }]);
+  assert.strictEqual(draw.winningTicket, Math.floor(getRoll(serverSeed, clientSeed, 7) * 475));
+
+  const range = draw.ranges[draw.winnerIndex];
+  assert.ok(draw.winningTicket >= range.from && draw.winningTicket < range.to);
+});
+
+test('a round without tickets has no winner', () => {
+  const draw = drawWinningTicket([{ user: 'user-a', items: [{ price: 0 }] }], 'server', 'client', 1);
+  assert.strictEqual(draw.winnerIndex, -1);
+  assert.strictEqual(draw.winningTicket, null);
+});
+
+test('games without a committed seed are drawn over the same ticket ranges', () => {
+  for (let round = 0; round < 20; round++) {
+    const draw = drawUnverifiableTicket(participants);
+    assert.strictEqual(draw.totalTickets, 475);
+    const range = draw.ranges[draw.winnerIndex];
+    assert.ok(draw.winningTicket >= range.from && draw.winningTicket < range.to);
+  }
+});
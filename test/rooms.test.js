@@ -0,0 +1,21 @@
+// test/rooms.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { rooms, DEFAULT_ROOM, getRoom, roomFilter } = require('../config/rooms');
+
+test('looks up configured rooms, and the default room without a name', () => {
+  assert.strictEqual(getRoom('low'), rooms.low);
+  assert.strictEqual(getRoom(), rooms[DEFAULT_ROOM]);
+  assert.strictEqual(getRoom('missing'), null);
+});
+
+test('does not resolve Object.prototype keys as rooms', () => {
+  ['constructor', 'toString', '__proto__', 'hasOwnProperty'].forEach((name) => {
+    assert.strictEqual(getRoom(name), null, name);
+  });
+});
+
+test('the default room also holds jackpots from before rooms existed', () => {
+  assert.deepStrictEqual(roomFilter(DEFAULT_ROOM), { $in: [DEFAULT_ROOM, null] });
+  assert.strictEqual(roomFilter('high'), 'high');
+});
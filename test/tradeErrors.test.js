@@ -0,0 +1,53 @@
+// test/tradeErrors.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const SteamUser = require('steam-user');
+const { RETRY, tradeError, classifyTradeError, toTradeError, sendTradeError } = require('../utils/tradeErrors');
+
+const steamError = (message, fields = {}) => Object.assign(new Error(message), fields);
+
+test('classifies Steam errors by response, cause, EResult and message', () => {
+  assert.strictEqual(classifyTradeError(steamError('Too Soon')), 'TOO_SOON');
+  assert.strictEqual(classifyTradeError(steamError('Trade error', { cause: 'TradeBan' })), 'TRADE_BANNED_TARGET');
+  assert.strictEqual(classifyTradeError(steamError('Revoked', { eresult: SteamUser.EResult.Revoked })), 'ITEMS_UNAVAILABLE');
+  assert.strictEqual(classifyTradeError(steamError('HTTP error 429')), 'RATE_LIMITED');
+  assert.strictEqual(classifyTradeError(steamError('HTTP error 502')), 'STEAM_UNAVAILABLE');
+  assert.strictEqual(classifyTradeError(steamError('connect ECONNREFUSED')), 'CONNECTION_FAILED');
+  assert.strictEqual(classifyTradeError(steamError('Something odd')), 'UNKNOWN_ERROR');
+  assert.strictEqual(classifyTradeError(null), 'UNKNOWN_ERROR');
+});
+
+test('builds structured errors with their retry policy', () => {
+  const error = tradeError('TOO_SOON');
+  assert.strictEqual(error.success, false);
+  assert.strictEqual(error.code, 'TOO_SOON');
+  assert.strictEqual(error.retry, RETRY.FAILOVER);
+  assert.strictEqual(error.status, 429);
+  assert.strictEqual(error.rateLimited, true);
+
+  assert.strictEqual(tradeError('NOT_A_CODE').code, 'UNKNOWN_ERROR');
+  assert.strictEqual(tradeError('TRADE_HOLD', { escrowDays: 7 }).escrowDays, 7);
+});
+
+test('structured errors pass through unchanged', () => {
+  const error = tradeError('BOT_UNAVAILABLE');
+  assert.strictEqual(toTradeError(error), error);
+
+  const converted = toTradeError(steamError('Not Logged In'));
+  assert.strictEqual(converted.code, 'NOT_LOGGED_IN');
+  assert.strictEqual(converted.retry, RETRY.RELOGIN);
+  assert.strictEqual(converted.steamError, 'Not Logged In');
+});
+
+test('responds with the status, user-facing message and code', () => {
+  const res = {
+    status(status) { this.statusCode = status; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  sendTradeError(res, tradeError('INSUFFICIENT_BALANCE'));
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.code, 'INSUFFICIENT_BALANCE');
+  assert.strictEqual(res.body.error, 'Your balance is too low for these items.');
+  assert.strictEqual(res.body.rateLimited, undefined);
+});
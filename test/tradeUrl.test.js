@@ -0,0 +1,30 @@
+// test/tradeUrl.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTradeUrl } = require('../utils/tradeUrl');
+
+test('parses a trade URL into its partner, token and SteamID64', () => {
+  assert.deepStrictEqual(
+    parseTradeUrl(' https://steamcommunity.com/tradeoffer/new?token=aB3_-xYz&partner=12345 '),
+    {
+      partner: '12345',
+      token: 'aB3_-xYz',
+      steamId64: '76561197960278073',
+      tradeUrl: 'https://steamcommunity.com/tradeoffer/new/?partner=12345&token=aB3_-xYz',
+    }
+  );
+});
+
+test('rejects anything that is not a Steam trade URL', () => {
+  [
+    undefined,
+    'not a url',
+    'http://steamcommunity.com/tradeoffer/new/?partner=12345&token=aB3_-xYz',
+    'https://steamcommunity.evil.com/tradeoffer/new/?partner=12345&token=aB3_-xYz',
+    'https://steamcommunity.com/profiles/12345',
+    'https://steamcommunity.com/tradeoffer/new/?partner=12345',
+    'https://steamcommunity.com/tradeoffer/new/?partner=12345&token=short',
+    'https://steamcommunity.com/tradeoffer/new/?partner=0&token=aB3_-xYz',
+    'https://steamcommunity.com/tradeoffer/new/?partner=4294967296&token=aB3_-xYz',
+  ].forEach((tradeUrl) => assert.strictEqual(parseTradeUrl(tradeUrl), null, String(tradeUrl)));
+});
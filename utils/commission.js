@@ -0,0 +1,123 @@
+// utils/commission.js
+const { priceToTickets } = require('./provablyFair');
+
+// The exact search does items x amounts steps on the event loop; beyond this many it works in
+// whole dollars, and a greedy pick covers what whole dollars still cannot fit
+const MAX_SUBSET_SUM_STEPS = 2000000;
+
+/**
+ * Finds the items whose prices add up closest to the target without going over.
+ * @param {Array<number>} prices - Item prices in the search unit.
+ * @param {number} target - Target in the search unit.
+ * @returns {Set<number>} Indexes of the chosen items.
+ */
+function subsetSum(prices, target) {
+  // reachedBy[sum] is the index of the item that first reached that sum
+  const reachedBy = new Int32Array(target + 1).fill(-1);
+  let best = 0;
+  prices.forEach((price, index) => {
+    if (price <= 0) return;
+    for (let sum = target; sum >= price; sum--) {
+      if (reachedBy[sum] === -1 && (sum === price || reachedBy[sum - price] !== -1)) {
+        reachedBy[sum] = index;
+        if (sum > best) best = sum;
+      }
+    }
+  });
+
+  const chosen = new Set();
+  for (let sum = best; sum > 0; sum -= prices[reachedBy[sum]]) {
+    chosen.add(reachedBy[sum]);
+  }
+  return chosen;
+}
+
+/**
+ * Picks the most expensive items that still fit under the target.
+ * @param {Array<number>} prices - Item prices in cents.
+ * @param {number} target - Target in cents.
+ * @returns {Set<number>} Indexes of the chosen items.
+ */
+function greedyPick(prices, target) {
+  const chosen = new Set();
+  let sum = 0;
+  prices
+    .map((price, index) => ({ price, index }))
+    .sort((a, b) => b.price - a.price)
+    .forEach(({ price, index }) => {
+      if (price > 0 && sum + price <= target) {
+        chosen.add(index);
+        sum += price;
+      }
+    });
+  return chosen;
+}
+
+/**
+ * Chooses the commission items, exactly in cents when the pot is small enough.
+ * Larger pots are searched in whole dollars (prices rounded up, so the pick never goes over)
+ * and compared with a greedy pick in cents.
+ * @param {Array<number>} prices - Item prices in cents.
+ * @param {number} target - Target in cents.
+ * @returns {Set<number>} Indexes of the chosen items.
+ */
+function pickCommission(prices, target) {
+  if (prices.length * target <= MAX_SUBSET_SUM_STEPS) {
+    return subsetSum(prices, target);
+  }
+
+  const total = (chosen) => [...chosen].reduce((acc, index) => acc + prices[index], 0);
+  const greedy = greedyPick(prices, target);
+  const dollarTarget = Math.floor(target / 100);
+  if (prices.length * dollarTarget > MAX_SUBSET_SUM_STEPS) {
+    return greedy;
+  }
+
+  const inDollars = subsetSum(prices.map((price) => Math.ceil(price / 100)), dollarTarget);
+  return total(inDollars) >= total(greedy) ? inDollars : greedy;
+}
+
+/**
+ * Splits the pot between the house and the winner by value.
+ * The house keeps the combination of items whose total price comes closest to
+ * `commissionPercentage` of `totalValue` without going over (see pickCommission for large pots). When no combination fits,
+ * the house keeps the cheapest item and the winner is credited the difference as balance.
+ * @param {Array} items - All items in the pot (with `price`).
+ * @param {number} commissionPercentage - Commission percentage (e.g. 10).
+ * @param {number} totalValue - Total value of the pot.
+ * @returns {Object} { commissionItems, winnerItems, targetValue, commissionValue, balanceCredit }
+ */
+function selectCommissionItems(items, commissionPercentage, totalValue) {
+  // In cents; the epsilon guards against floating point results like 999.9999
+  const target = Math.floor(totalValue * commissionPercentage + 1e-6);
+  const prices = items.map((item) => priceToTickets(item.price));
+
+  const commissionIndexes = pickCommission(prices, target);
+  let balanceCredit = 0;
+
+  if (commissionIndexes.size === 0 && target > 0) {
+    // Nothing fits under the target: keep the cheapest item and credit the overage
+    let cheapest = -1;
+    prices.forEach((price, index) => {
+      if (price > 0 && (cheapest === -1 || price < prices[cheapest])) cheapest = index;
+    });
+    if (cheapest !== -1) {
+      commissionIndexes.add(cheapest);
+      balanceCredit = (prices[cheapest] - target) / 100;
+    }
+  }
+
+  const commissionItems = items.filter((item, index) => commissionIndexes.has(index));
+  const winnerItems = items.filter((item, index) => !commissionIndexes.has(index));
+  const keptValue = commissionItems.reduce((acc, item) => acc + priceToTickets(item.price), 0);
+
+  return {
+    commissionItems,
+    winnerItems,
+    targetValue: target / 100,
+    commissionValue: (keptValue / 100) - balanceCredit,
+    balanceCredit,
+  };
+}
+
+module.exports = selectCommissionItems;
@@ -72,6 +72,20 @@ const createMarketPriceMap = (marketApiResponse) => {
   }, {});
 };
 
+// Current market prices in USD by market_hash_name; items without a price are left out
+const getMarketPrices = async () => {
+  const marketApiResponse = await fetchMarketPrices();
+  const prices = {};
+
+  marketApiResponse.forEach((marketItem) => {
+    const priceMatch = String(marketItem.price).replace(/,/g, '').match(/\d+(\.\d+)?/);
+    const price = priceMatch ? parseFloat(priceMatch[0]) : 0;
+    if (price > 0) prices[marketItem.name] = price;
+  });
+
+  return prices;
+};
+
 // Group assets by their market_hash_name and assign prices
 const groupAssetsByMarketHashName = (assets, items, marketPriceMap) => {
   let groupedItems = {};
@@ -131,7 +145,8 @@ const handleError = (error) => {
 };
 
 module.exports = {
-  getInventory
+  getInventory,
+  getMarketPrices
 };
 
 
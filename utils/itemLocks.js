@@ -0,0 +1,92 @@
+// utils/itemLocks.js
+const crypto = require('crypto');
+const Item = require('../models/itemSchema');
+const TradeOffer = require('../models/tradeOfferSchema');
+
+const LOCK_TIMEOUT = 5 * 60 * 1000; // Locks older than 5 minutes without an open offer are released
+
+/**
+ * Locks a user's items for a deposit so they cannot go into another offer at the same time.
+ * Either every item is locked or none is.
+ * @param {Array} itemIds - The items to lock.
+ * @param {string} ownerId - The user who must own every item.
+ * @returns {Promise<string|null>} The lock ID, or null if an item is already locked or not owned by the user.
+ */
+const lockItems = async (itemIds, ownerId) => {
+  const lockId = `pending:${crypto.randomBytes(12).toString('hex')}`;
+
+  const result = await Item.updateMany(
+    { _id: { $in: itemIds }, owner: ownerId, lockedBy: null },
+    { lockedBy: lockId, lockedAt: new Date() }
+  );
+
+  if (result.modifiedCount !== itemIds.length) {
+    await unlockItems(lockId);
+    return null;
+  }
+
+  return lockId;
+};
+
+/**
+ * Moves a lock over to the trade offer that was sent for the items.
+ * @param {string} lockId - The lock ID from lockItems.
+ * @param {string} offerId - The Steam trade offer ID.
+ */
+const assignLock = async (lockId, offerId) => {
+  await Item.updateMany({ lockedBy: lockId }, { lockedBy: offerId });
+};
+
+/**
+ * Releases the items held by a lock or trade offer.
+ * @param {string} lockId - The lock ID or the Steam trade offer ID.
+ */
+const unlockItems = async (lockId) => {
+  await Item.updateMany({ lockedBy: lockId }, { $unset: { lockedBy: 1, lockedAt: 1 } });
+};
+
+/**
+ * Releases locks no open trade offer holds: pending locks whose offer was never sent (e.g. the server
+ * stopped between lockItems and assignLock), and offer locks whose offer is no longer open or was never recorded.
+ * Only locks older than LOCK_TIMEOUT are looked at, so deposits that are being sent keep theirs.
+ * @param {Array<string>} openOfferStates - Offer states that can still change.
+ * @returns {Promise<number>} Number of items released.
+ */
+const releaseStaleLocks = async (openOfferStates) => {
+  const lockedBefore = new Date(Date.now() - LOCK_TIMEOUT);
+
+  const pending = await Item.updateMany(
+    { lockedBy: /^pending:/, lockedAt: { $lte: lockedBefore } },
+    { $unset: { lockedBy: 1, lockedAt: 1 } }
+  );
+
+  const offerIds = await Item.distinct('lockedBy', {
+    lockedBy: { $type: 'string', $not: /^pending:/ },
+    lockedAt: { $lte: lockedBefore },
+  });
+  let released = pending.modifiedCount;
+  if (offerIds.length > 0) {
+    const openOfferIds = await TradeOffer.distinct('offerId', {
+      offerId: { $in: offerIds },
+      state: { $in: openOfferStates },
+    });
+    const staleOfferIds = offerIds.filter((offerId) => !openOfferIds.includes(offerId));
+
+    if (staleOfferIds.length > 0) {
+      const result = await Item.updateMany(
+        { lockedBy: { $in: staleOfferIds } },
+        { $unset: { lockedBy: 1, lockedAt: 1 } }
+      );
+      released += result.modifiedCount;
+    }
+  }
+
+  return released;
+};
+
+module.exports = {
+  lockItems,
+  assignLock,
+  unlockItems,
+  releaseStaleLocks,
+};
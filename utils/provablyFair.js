@@ -0,0 +1,176 @@
+// utils/provablyFair.js
+const crypto = require('crypto');
+const Counter = require('../models/counterSchema');
+
+/**
+ * Generates a new random server seed.
+ * @returns {string} A 64 character hex string.
+ */
+function generateServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hashes a server seed so it can be published before the round is drawn.
+ * @param {string} serverSeed - The secret server seed.
+ * @returns {string} The SHA-256 hash of the seed (hex).
+ */
+function hashServerSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+/**
+ * Converts an item price (e.g. "1.23 USD") into whole tickets (cents).
+ * @param {string|number} price - The stored item price.
+ * @returns {number} Number of tickets the item is worth.
+ */
+function priceToTickets(price) {
+  const value = parseFloat(price);
+  return isNaN(value) ? 0 : Math.round(value * 100);
+}
+
+/**
+ * Builds the public client seed from the deposits in the round, in deposit order.
+ * Every participant can see these values, so the server cannot alter the seed
+ * without changing the pot itself.
+ * @param {Array} participants - Jackpot participants with populated items.
+ * @returns {string} The SHA-256 hash of the serialized deposits (hex).
+ */
+function buildClientSeed(participants) {
+  const deposits = participants.map((participant) => {
+    const userId = (participant.user._id || participant.user).toString();
+    const itemIds = participant.items.map((item) => (item._id || item).toString());
+    return `${userId}:${itemIds.join(',')}`;
+  });
+  return crypto.createHash('sha256').update(deposits.join('|')).digest('hex');
+}
+
+/**
+ * Derives a deterministic roll in [0, 1) from the seeds and nonce.
+ * @param {string} serverSeed - The secret server seed.
+ * @param {string} clientSeed - The public client seed.
+ * @param {number} nonce - The round nonce.
+ * @returns {number} The roll.
+ */
+function getRoll(serverSeed, clientSeed, nonce) {
+  const hmac = crypto
+    .createHmac('sha256', serverSeed)
+    .update(`${clientSeed}:${nonce}`)
+    .digest('hex');
+  // 52 bits fit exactly in a double
+  return parseInt(hmac.slice(0, 13), 16) / Math.pow(2, 52);
+}
+
+/**
+ * Calculates each participant's ticket range and draws the winning ticket with the given pick.
+ * @param {Array} participants - Jackpot participants with populated items.
+ * @param {Function} pickTicket - Called with the total tickets, returns the winning ticket.
+ * @returns {Object} { totalTickets, winningTicket, winnerIndex, ranges }
+ */
+function drawTicket(participants, pickTicket) {
+  let totalTickets = 0;
+  const ranges = participants.map((participant) => {
+    const tickets = participant.items.reduce(
+      (acc, item) => acc + priceToTickets(item.price),
+      0
+    );
+    const range = { from: totalTickets, to: totalTickets + tickets };
+    totalTickets += tickets;
+    return range;
+  });
+
+  if (totalTickets === 0) {
+    return { totalTickets, winningTicket: null, winnerIndex: -1, ranges };
+  }
+
+  const winningTicket = pickTicket(totalTickets);
+  const winnerIndex = ranges.findIndex(
+    (range) => winningTicket >= range.from && winningTicket < range.to
+  );
+
+  return { totalTickets, winningTicket, winnerIndex, ranges };
+}
+
+/**
+ * Calculates each participant's ticket range and draws the winning ticket.
+ * @param {Array} participants - Jackpot participants with populated items.
+ * @param {string} serverSeed - The secret server seed.
+ * @param {string} clientSeed - The public client seed.
+ * @param {number} nonce - The round nonce.
+ * @returns {Object} { totalTickets, winningTicket, winnerIndex, ranges }
+ */
+function drawWinningTicket(participants, serverSeed, clientSeed, nonce) {
+  return drawTicket(participants, (totalTickets) => Math.floor(getRoll(serverSeed, clientSeed, nonce) * totalTickets));
+}
+
+/**
+ * Draws the winning ticket of a game created before seeds were committed.
+ * No seed hash was published for it, so the draw is random but cannot be verified.
+ * @param {Array} participants - Jackpot participants with populated items.
+ * @returns {Object} { totalTickets, winningTicket, winnerIndex, ranges }
+ */
+function drawUnverifiableTicket(participants) {
+  return drawTicket(participants, (totalTickets) => crypto.randomInt(totalTickets));
+}
+
+/**
+ * Hands out the next game number of a model. The counter is incremented atomically, so games
+ * created at the same time never share a number. The sequence starts after the existing games.
+ * @param {Object} Model - The game model.
+ * @returns {Promise<number>} The game number.
+ */
+async function nextNonce(Model) {
+  const name = `${Model.modelName}.nonce`;
+  try {
+    await Counter.updateOne(
+      { _id: name },
+      { $setOnInsert: { next: await Model.countDocuments() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another game created the counter first
+    if (error.code !== 11000) throw error;
+  }
+
+  const counter = await Counter.findOneAndUpdate({ _id: name }, { $inc: { next: 1 } });
+  return counter.next;
+}
+
+/**
+ * Mongoose plugin that adds the provably fair fields to a game schema and
+ * commits to a server seed as soon as the game is created.
+ * @param {Object} schema - The mongoose schema.
+ */
+function provablyFairPlugin(schema) {
+  schema.add({
+    serverSeed: { type: String, select: false }, // Secret seed, revealed once the game is completed
+    serverSeedHash: { type: String }, // SHA-256 of the server seed, published when the game is created
+    clientSeed: { type: String }, // Public seed built from the game's deposits
+    nonce: { type: Number }, // Game number
+    totalTickets: { type: Number }, // Total tickets in the draw (1 ticket = $0.01)
+    winningTicket: { type: Number }, // Ticket drawn from the seeds
+    unverifiable: { type: Boolean }, // Drawn without a committed server seed (created before seeds were committed)
+  });
+
+  schema.pre('validate', async function () {
+    if (!this.isNew) return;
+    if (!this.serverSeed) {
+      this.serverSeed = generateServerSeed();
+      this.serverSeedHash = hashServerSeed(this.serverSeed);
+    }
+    if (this.nonce === undefined) {
+      this.nonce = await nextNonce(this.constructor);
+    }
+  });
+}
+
+module.exports = {
+  generateServerSeed,
+  hashServerSeed,
+  priceToTickets,
+  buildClientSeed,
+  getRoll,
+  drawWinningTicket,
+  drawUnverifiableTicket,
+  provablyFairPlugin,
+};
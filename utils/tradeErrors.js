@@ -0,0 +1,208 @@
+// utils/tradeErrors.js
+const SteamUser = require('steam-user');
+
+/**
+ * What to do after a trade error
+ * none - the user (or an admin) has to fix something first
+ * failover - send again right away from another bot
+ * relogin - log the bot in again and send from another bot meanwhile
+ * later - Steam is having trouble; try again after a while
+ */
+const RETRY = {
+  NONE: 'none',
+  FAILOVER: 'failover',
+  RELOGIN: 'relogin',
+  LATER: 'later',
+};
+
+/**
+ * Stable trade error codes with their user-facing message, retry policy and HTTP status.
+ * rateLimited marks errors after which the bot is left out of the pool for a while.
+ */
+const tradeErrors = {
+  // EEconTradeResponse
+  TRADE_BANNED_INITIATOR: { message: 'Our trade bot is currently unable to trade. Please try again later.', retry: RETRY.FAILOVER, status: 503 },
+  TRADE_BANNED_TARGET: { message: 'Your account is trade banned and cannot receive trade offers.', retry: RETRY.NONE, status: 403 },
+  TARGET_ALREADY_TRADING: { message: 'You are already in a trade. Please finish it and try again.', retry: RETRY.LATER, status: 409 },
+  TRADING_DISABLED: { message: 'Steam trading is temporarily disabled. Please try again later.', retry: RETRY.LATER, status: 503 },
+  NOT_LOGGED_IN: { message: 'Our trade bot lost its Steam session. Please try again in a moment.', retry: RETRY.RELOGIN, status: 503 },
+  TRADE_CANCELLED: { message: 'The trade was cancelled.', retry: RETRY.NONE, status: 409 },
+  TOO_SOON: { message: 'Too many trades were sent. Please try again in a moment.', retry: RETRY.FAILOVER, status: 429, rateLimited: true },
+  TOO_SOON_PENALTY: { message: 'Too many trades were sent. Please try again in a moment.', retry: RETRY.FAILOVER, status: 429, rateLimited: true },
+  CONNECTION_FAILED: { message: 'Could not reach Steam. Please try again later.', retry: RETRY.LATER, status: 503 },
+  ALREADY_TRADING: { message: 'Our trade bot is busy. Please try again in a moment.', retry: RETRY.FAILOVER, status: 503 },
+  ALREADY_HAS_TRADE_REQUEST: { message: 'You already have a pending trade request. Please accept or decline it first.', retry: RETRY.LATER, status: 409 },
+  NO_RESPONSE: { message: 'Steam did not respond. Please try again later.', retry: RETRY.LATER, status: 504 },
+  CYBER_CAFE_INITIATOR: { message: 'Our trade bot is currently unable to trade. Please try again later.', retry: RETRY.FAILOVER, status: 503 },
+  CYBER_CAFE_TARGET: { message: 'Steam does not allow trading from your current network.', retry: RETRY.NONE, status: 403 },
+  SCHOOL_LAB_INITIATOR: { message: 'Our trade bot is currently unable to trade. Please try again later.', retry: RETRY.FAILOVER, status: 503 },
+  SCHOOL_LAB_TARGET: { message: 'Steam does not allow trading from your current network.', retry: RETRY.NONE, status: 403 },
+  INITIATOR_BLOCKED_TARGET: { message: 'Our trade bot cannot trade with you because one of you blocked the other.', retry: RETRY.NONE, status: 403 },
+  INITIATOR_NEEDS_VERIFIED_EMAIL: { message: 'Our trade bot is currently unable to trade. Please try again later.', retry: RETRY.FAILOVER, status: 503 },
+  INITIATOR_NEEDS_STEAM_GUARD: { message: 'Our trade bot is currently unable to trade. Please try again later.', retry: RETRY.FAILOVER, status: 503 },
+  TARGET_ACCOUNT_CANNOT_TRADE: { message: 'Your Steam account cannot trade right now. Check your account for trade restrictions.', retry: RETRY.NONE, status: 403 },
+  INITIATOR_STEAM_GUARD_DURATION: { message: 'Our trade bot is currently unable to trade. Please try again later.', retry: RETRY.FAILOVER, status: 503 },
+  INITIATOR_PASSWORD_RESET_PROBATION: { message: 'Our trade bot is currently unable to trade. Please try again later.', retry: RETRY.FAILOVER, status: 503 },
+  INITIATOR_NEW_DEVICE_COOLDOWN: { message: 'Our trade bot is currently unable to trade. Please try again later.', retry: RETRY.FAILOVER, status: 503 },
+  INITIATOR_SENT_INVALID_COOKIE: { message: 'Our trade bot lost its Steam session. Please try again in a moment.', retry: RETRY.RELOGIN, status: 503 },
+  NEEDS_EMAIL_CONFIRMATION: { message: 'Our trade bot is currently unable to trade. Please try again later.', retry: RETRY.FAILOVER, status: 503 },
+  INITIATOR_RECENT_EMAIL_CHANGE: { message: 'Our trade bot is currently unable to trade. Please try again later.', retry: RETRY.FAILOVER, status: 503 },
+  NEEDS_MOBILE_CONFIRMATION: { message: 'Our trade bot is currently unable to trade. Please try again later.', retry: RETRY.FAILOVER, status: 503 },
+  TRADING_HOLD_FOR_CLEARED_TRADE_OFFERS_INITIATOR: { message: 'Our trade bot is currently unable to trade. Please try again later.', retry: RETRY.FAILOVER, status: 503 },
+  WOULD_EXCEED_MAX_ASSET_COUNT: { message: 'The inventory receiving the items is full.', retry: RETRY.FAILOVER, status: 409 },
+  DISABLED_IN_REGION: { message: 'Our trade bot is currently unable to trade. Please try again later.', retry: RETRY.FAILOVER, status: 503 },
+  DISABLED_IN_PARTNER_REGION: { message: 'Steam does not allow trading in your region.', retry: RETRY.NONE, status: 403 },
+
+  // EResult and other Steam errors
+  INVALID_TRADE_URL: { message: 'Steam refused the offer. Make sure your trade URL is current and your inventory is public.', retry: RETRY.NONE, status: 400 },
+  ITEMS_UNAVAILABLE: { message: 'Some of these items are no longer in the inventory.', retry: RETRY.NONE, status: 409 },
+  OFFER_LIMIT_EXCEEDED: { message: 'Too many trade offers are pending. Please try again in a moment.', retry: RETRY.FAILOVER, status: 429, rateLimited: true },
+  RATE_LIMITED: { message: 'Steam is limiting our trades. Please try again in a moment.', retry: RETRY.FAILOVER, status: 429, rateLimited: true },
+  ITEM_SERVER_UNAVAILABLE: { message: "Steam can't reach the game's item server. Please try again later.", retry: RETRY.LATER, status: 503 },
+  STEAM_TIMEOUT: { message: 'Steam took too long to respond. Please try again later.', retry: RETRY.LATER, status: 504 },
+  STEAM_UNAVAILABLE: { message: 'Steam is temporarily unavailable. Please try again later.', retry: RETRY.LATER, status: 503 },
+
+  // Site checks
+  NO_BOT_AVAILABLE: { message: 'All trade bots are offline or full. Please try again later.', retry: RETRY.LATER, status: 503 },
+  TRADE_HOLD: { message: 'Your account has a trade hold. Deposits are disabled until it is lifted.', retry: RETRY.NONE, status: 400 },
+  TRADE_HOLD_CHECK_FAILED: { message: 'Could not check your trade hold. Please make sure your trade URL is correct and try again.', retry: RETRY.LATER, status: 502 },
+  TRADE_URL_REJECTED: { message: 'Steam did not accept this trade URL. Please copy it again from your Steam inventory privacy settings.', retry: RETRY.NONE, status: 400 },
+  BOT_UNAVAILABLE: { message: 'The bot holding these items is offline. Please try again later.', retry: RETRY.LATER, status: 503 },
+  INSUFFICIENT_BALANCE: { message: 'Your balance is too low for these items.', retry: RETRY.NONE, status: 400 },
+  STORE_ITEMS_UNAVAILABLE: { message: 'Some of these items were just sold or are no longer in the store.', retry: RETRY.NONE, status: 409 },
+  UNKNOWN_ERROR: { message: 'Something went wrong while sending the trade offer. Please try again.', retry: RETRY.LATER, status: 500 },
+};
+
+// steam-tradeoffer-manager error messages that match an EEconTradeResponse
+const tradeResponseCodes = {
+  'Trade Banned Initiator': 'TRADE_BANNED_INITIATOR',
+  'Trade Banned Target': 'TRADE_BANNED_TARGET',
+  'Target Already Trading': 'TARGET_ALREADY_TRADING',
+  'Disabled': 'TRADING_DISABLED',
+  'Not Logged In': 'NOT_LOGGED_IN',
+  'Cancel': 'TRADE_CANCELLED',
+  'Too Soon': 'TOO_SOON',
+  'Too Soon Penalty': 'TOO_SOON_PENALTY',
+  'Connection Failed': 'CONNECTION_FAILED',
+  'Already Trading': 'ALREADY_TRADING',
+  'Already Has Trade Request': 'ALREADY_HAS_TRADE_REQUEST',
+  'No Response': 'NO_RESPONSE',
+  'Cyber Cafe Initiator': 'CYBER_CAFE_INITIATOR',
+  'Cyber Cafe Target': 'CYBER_CAFE_TARGET',
+  'School Lab Initiator': 'SCHOOL_LAB_INITIATOR',
+  'School Lab Target': 'SCHOOL_LAB_TARGET',
+  'Initiator Blocked Target': 'INITIATOR_BLOCKED_TARGET',
+  'Initiator Needs Verified Email': 'INITIATOR_NEEDS_VERIFIED_EMAIL',
+  'Initiator Needs Steam Guard': 'INITIATOR_NEEDS_STEAM_GUARD',
+  'Target Account Cannot Trade': 'TARGET_ACCOUNT_CANNOT_TRADE',
+  'Initiator Steam Guard Duration': 'INITIATOR_STEAM_GUARD_DURATION',
+  'Initiator Password Reset Probation': 'INITIATOR_PASSWORD_RESET_PROBATION',
+  'Initiator New Device Cooldown': 'INITIATOR_NEW_DEVICE_COOLDOWN',
+  'Initiator Sent Invalid Cookie': 'INITIATOR_SENT_INVALID_COOKIE',
+  'Needs Email Confirmation': 'NEEDS_EMAIL_CONFIRMATION',
+  'Initiator Recent Email Change': 'INITIATOR_RECENT_EMAIL_CHANGE',
+  'Needs Mobile Confirmation': 'NEEDS_MOBILE_CONFIRMATION',
+  'Trading Hold For Cleared Trade Offers Initiator': 'TRADING_HOLD_FOR_CLEARED_TRADE_OFFERS_INITIATOR',
+  'Would Exceed Max Asset Count': 'WOULD_EXCEED_MAX_ASSET_COUNT',
+  'Disabled In Region': 'DISABLED_IN_REGION',
+  'Disabled In Partner Region': 'DISABLED_IN_PARTNER_REGION',
+};
+
+// steam-tradeoffer-manager's err.cause values
+const causeCodes = {
+  TradeBan: 'TRADE_BANNED_TARGET',
+  NewDevice: 'INITIATOR_NEW_DEVICE_COOLDOWN',
+  TargetCannotTrade: 'TARGET_ACCOUNT_CANNOT_TRADE',
+  OfferLimitExceeded: 'OFFER_LIMIT_EXCEEDED',
+  ItemServerUnavailable: 'ITEM_SERVER_UNAVAILABLE',
+};
+
+// Steam EResults returned when sending, cancelling or checking offers
+const eresultCodes = {
+  [SteamUser.EResult.Fail]: 'UNKNOWN_ERROR',
+  [SteamUser.EResult.NoConnection]: 'CONNECTION_FAILED',
+  [SteamUser.EResult.InvalidState]: 'INVALID_TRADE_URL',
+  [SteamUser.EResult.AccessDenied]: 'INVALID_TRADE_URL',
+  [SteamUser.EResult.Timeout]: 'STEAM_TIMEOUT',
+  [SteamUser.EResult.ServiceUnavailable]: 'STEAM_UNAVAILABLE',
+  [SteamUser.EResult.Banned]: 'TRADE_BANNED_TARGET',
+  [SteamUser.EResult.LimitExceeded]: 'OFFER_LIMIT_EXCEEDED',
+  [SteamUser.EResult.Revoked]: 'ITEMS_UNAVAILABLE',
+  [SteamUser.EResult.Expired]: 'ITEMS_UNAVAILABLE',
+  [SteamUser.EResult.NotLoggedOn]: 'NOT_LOGGED_IN',
+  [SteamUser.EResult.RateLimitExceeded]: 'RATE_LIMITED',
+  [SteamUser.EResult.AccountLockedDown]: 'TRADE_BANNED_INITIATOR',
+};
+
+/**
+ * Builds a structured trade error.
+ * @param {string} code - A code from tradeErrors.
+ * @param {Object} [details] - Extra fields for the response, e.g. { escrowDays } or a more specific message.
+ * @returns {Object} { success, error, message, code, retry, status, ... }
+ */
+const tradeError = (code, details = {}) => {
+  const definition = tradeErrors[code] || tradeErrors.UNKNOWN_ERROR;
+  return {
+    success: false,
+    error: code,
+    message: definition.message,
+    code: tradeErrors[code] ? code : 'UNKNOWN_ERROR',
+    retry: definition.retry,
+    status: definition.status,
+    rateLimited: Boolean(definition.rateLimited),
+    ...details,
+  };
+};
+
+/**
+ * Finds the stable code for an error from steam-user, steam-tradeoffer-manager or this site.
+ * @param {Error|Object} err - The error.
+ * @returns {string} A code from tradeErrors.
+ */
+const classifyTradeError = (err) => {
+  if (!err) return 'UNKNOWN_ERROR';
+  if (err.code && tradeErrors[err.code]) return err.code;
+  if (err.cause && causeCodes[err.cause]) return causeCodes[err.cause];
+
+  const message = err.message || '';
+  if (tradeResponseCodes[message]) return tradeResponseCodes[message];
+  if (err.eresult !== undefined && eresultCodes[err.eresult]) return eresultCodes[err.eresult];
+
+  if (/HTTP error 429|rate limit/i.test(message)) return 'RATE_LIMITED';
+  if (/HTTP error 401|Not Logged In/i.test(message)) return 'NOT_LOGGED_IN';
+  if (/HTTP error 5\d\d/.test(message)) return 'STEAM_UNAVAILABLE';
+  if (/ETIMEDOUT|ESOCKETTIMEDOUT|timed out/i.test(message)) return 'STEAM_TIMEOUT';
+  if (/ECONNRESET|ECONNREFUSED|ENOTFOUND|socket hang up/i.test(message)) return 'CONNECTION_FAILED';
+
+  return 'UNKNOWN_ERROR';
+};
+
+/**
+ * Turns any error from a trade-sending path into a structured trade error.
+ * Structured errors pass through unchanged.
+ * @param {Error|Object} err - The error.
+ * @returns {Object} The structured trade error.
+ */
+const toTradeError = (err) => {
+  if (err && err.success === false && err.retry && tradeErrors[err.code]) return err;
+  return tradeError(classifyTradeError(err), { steamError: err && err.message });
+};
+
+/**
+ * Responds to a request with a trade error.
+ * @param {Object} res - The Express response.
+ * @param {Error|Object} err - The error.
+ */
+const sendTradeError = (res, err) => {
+  const { status, success, error, rateLimited, steamError, ...body } = toTradeError(err);
+  return res.status(status).json({ ...body, error: body.message });
+};
+
+module.exports = {
+  RETRY,
+  tradeErrors,
+  tradeError,
+  classifyTradeError,
+  toTradeError,
+  sendTradeError,
+};
@@ -0,0 +1,560 @@
+// utils/tradeOffers.js
+const SteamTradeManager = require('steam-tradeoffer-manager');
+const TradeOffer = require('../models/tradeOfferSchema');
+const Item = require('../models/itemSchema');
+const User = require('../models/userSchema');
+const io = require('../socket');
+const { unlockItems, releaseStaleLocks } = require('./itemLocks');
+const {
+  bots,
+  getBot,
+  isBotAvailable,
+  selectDepositBot,
+  markRateLimited,
+  recordTradeError,
+  refreshWebSession,
+} = require('../steamTradeBot'); // Import trade bot pool
+const { RETRY, tradeError, toTradeError } = require('./tradeErrors');
+
+// Default message for jackpot deposits
+const JACKPOT_DEPOSIT_MESSAGE = `
+Welcome to JuicySkins! 🍊You're about to join the jackpot with your awesome skins. Good luck!
+🔥 Your items are safe with us. 
+💎 The jackpot is heating up, so get ready to win big!
+Don't forget to accept the trade offer and join the fun!
+JuicySkins Team
+`;
+
+// Look up both sides' trade holds for an offer that has not been sent yet
+const getOfferUserDetails = (offer) => {
+  return new Promise((resolve, reject) => {
+    offer.getUserDetails((err, me, them) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve({ me, them });
+    });
+  });
+};
+
+// Cache a user's trade hold so the frontend can warn before the next deposit
+const cacheTradeHold = async (steamId, escrowDays) => {
+  try {
+    await User.updateOne({ steamId }, { tradeHold: { escrowDays, checkedAt: new Date() } });
+  } catch (error) {
+    console.error(`Failed to cache trade hold of ${steamId}:`, error);
+  }
+};
+
+// Apply a trade error's retry policy to the bot that ran into it
+// Returns the structured error (see utils/tradeErrors.js)
+const applyRetryPolicy = (bot, err) => {
+  const tradeErr = toTradeError(err);
+  recordTradeError(bot, err);
+
+  if (tradeErr.rateLimited) markRateLimited(bot);
+  if (tradeErr.retry === RETRY.RELOGIN) refreshWebSession(bot);
+
+  return tradeErr;
+};
+
+// Errors that can be retried right away from another bot
+const canRetryFromAnotherBot = (tradeErr) => [RETRY.FAILOVER, RETRY.RELOGIN].includes(tradeErr.retry);
+
+// Confirm a trade URL against a bot: Steam only opens the trade page for a valid partner and token
+// Resolves with the partner's trade hold, which is cached on the user as well
+const verifyTradeUrl = async (tradeUrl) => {
+  const bot = bots.find(isBotAvailable);
+  if (!bot) {
+    throw tradeError('NO_BOT_AVAILABLE');
+  }
+
+  const tradeOffer = bot.manager.createOffer(tradeUrl);
+
+  let details;
+  try {
+    details = await getOfferUserDetails(tradeOffer);
+  } catch (err) {
+    console.error(`Bot ${bot.id} could not open trade URL:`, err.message);
+    const tradeErr = applyRetryPolicy(bot, err);
+    throw canRetryFromAnotherBot(tradeErr) ? tradeErr : tradeError('TRADE_URL_REJECTED');
+  }
+
+  await cacheTradeHold(tradeOffer.partner.getSteamID64(), details.them.escrowDays);
+
+  return { escrowDays: details.them.escrowDays };
+};
+
+// Send a deposit offer from the bot with the most free inventory slots
+// Errors are rejected as structured trade errors (utils/tradeErrors.js); the ones whose retry policy
+// allows it are retried from another bot
+const sendTradeOfferToUser = async (tradeUrl, items, attempt = 1, message = JACKPOT_DEPOSIT_MESSAGE, excludeBotIds = []) => {
+  const MAX_RETRY_ATTEMPTS = 2;
+
+  const bot = await selectDepositBot(items.length, excludeBotIds);
+  if (!bot) {
+    throw tradeError('NO_BOT_AVAILABLE');
+  }
+
+  // Send again from another bot; if none is left, report the error that started it
+  const retryFromAnotherBot = (tradeErr) => {
+    if (attempt > MAX_RETRY_ATTEMPTS) {
+      console.error('Max retry attempts reached. Could not send trade offer.');
+      return Promise.reject(tradeErr);
+    }
+
+    console.log(`Retrying trade offer from another bot (attempt ${attempt + 1})...`);
+    return sendTradeOfferToUser(tradeUrl, items, attempt + 1, message, excludeBotIds.concat(bot.id))
+      .catch((retryErr) => Promise.reject(retryErr.code === 'NO_BOT_AVAILABLE' ? tradeErr : retryErr));
+  };
+
+  const tradeOffer = bot.manager.createOffer(tradeUrl); // Use the user's Trade URL directly
+  
+  // Add the items the bot is requesting from the user
+  items.forEach(item => {
+    tradeOffer.addTheirItem({
+      assetid: item.assetId,
+      appid: item.appId,
+      contextid: '2', // Context ID (typically '2' for CS:GO)
+    });
+  });
+
+  tradeOffer.setMessage(message);
+  console.log(tradeOffer);
+
+  // Items from a user with a trade hold would sit in escrow while the game runs without them
+  let details;
+  try {
+    details = await getOfferUserDetails(tradeOffer);
+  } catch (err) {
+    console.error('Failed to check trade hold:', err.message);
+    const tradeErr = applyRetryPolicy(bot, err);
+    if (canRetryFromAnotherBot(tradeErr)) {
+      return retryFromAnotherBot(tradeErr);
+    }
+    throw tradeError('TRADE_HOLD_CHECK_FAILED');
+  }
+
+  await cacheTradeHold(tradeOffer.partner.getSteamID64(), details.them.escrowDays);
+
+  if (details.them.escrowDays > 0) {
+    throw tradeError('TRADE_HOLD', {
+      message: `Your account has a ${details.them.escrowDays}-day trade hold. Deposits are disabled until it is lifted.`,
+      escrowDays: details.them.escrowDays
+    });
+  }
+
+  // A bot with a trade hold of its own cannot take deposits either
+  if (details.me.escrowDays > 0) {
+    console.error(`Bot ${bot.id} has a ${details.me.escrowDays}-day trade hold. Trying another bot.`);
+    return retryFromAnotherBot(tradeError('NO_BOT_AVAILABLE'));
+  }
+  
+  // Send the trade offer and return its ID and URL
+  return new Promise((resolve, reject) => {
+    tradeOffer.send((err, status) => {
+      if (err) {
+        console.error('Failed to send trade offer:', err.message, err.eresult, err.cause);
+
+        const tradeErr = applyRetryPolicy(bot, err);
+        console.error(`Trade offer failed with ${tradeErr.code} (retry: ${tradeErr.retry}).`);
+
+        if (canRetryFromAnotherBot(tradeErr)) {
+          retryFromAnotherBot(tradeErr).then(resolve).catch(reject);
+        } else {
+          reject(tradeErr); // Reject with structured error object
+        }
+      } else {
+        console.log(`Trade offer sent to user with status: ${status}`);
+        resolve({
+          success: true,
+          botId: bot.id,
+          offerId: tradeOffer.id,
+          offerUrl: `https://steamcommunity.com/tradeoffer/${tradeOffer.id}`, // Trade offer URL
+        });
+      }
+    });
+  });
+};
+
+
+// Offer states in which the user will never accept the offer
+const endedOfferStates = [
+  SteamTradeManager.ETradeOfferState.Declined,
+  SteamTradeManager.ETradeOfferState.Expired,
+  SteamTradeManager.ETradeOfferState.Canceled,
+  SteamTradeManager.ETradeOfferState.InvalidItems,
+  SteamTradeManager.ETradeOfferState.Countered,
+  SteamTradeManager.ETradeOfferState.CanceledBySecondFactor,
+];
+
+// Offer states that can still change
+const openOfferStates = ['Active', 'CreatedNeedsConfirmation', 'InEscrow'];
+
+const OFFER_EXPIRY_INTERVAL = 10000; // How often expired deposit offers are cancelled, in milliseconds
+const HANDLE_RETRY_DELAY = 60000; // Final offers whose handler did not finish are handled again after this long
+const MAX_HANDLE_ATTEMPTS = 5; // Attempts before an offer is left for an admin
+let expiryInterval = null;
+
+// Offer records whose final state is being handled in this process
+const handlingOffers = new Set();
+
+// Handlers for offer state changes, keyed by the purpose stored on each TradeOffer
+const offerHandlers = {};
+
+// Register what happens when an offer of the given purpose is accepted or ends
+// onAccepted(record, offer) and onDeclined(record, offer) receive the TradeOffer document and the Steam offer
+const registerOfferHandler = (purpose, { onAccepted, onDeclined } = {}) => {
+  offerHandlers[purpose] = { onAccepted, onDeclined };
+};
+
+// Track trade offer acceptance
+// Persists the offer so its outcome is handled by the registered handler, even after a restart
+// Deposit offers with an expiresAt are cancelled once it passes
+// If the offer cannot be recorded it is cancelled and the error is rethrown, with offerCancelled set
+// to whether the cancel went through
+const trackTradeOffer = async (offerId, { bot, type = 'deposit', purpose, user, items = [], jackpot, coinflip, payout, withdrawal, expiresAt } = {}) => {
+  try {
+    return await TradeOffer.create({
+      offerId,
+      bot,
+      expiresAt,
+      type,
+      purpose,
+      user,
+      items,
+      jackpot,
+      coinflip,
+      payout,
+      withdrawal,
+      state: 'Active',
+      stateHistory: [{ state: 'Active' }],
+    });
+  } catch (error) {
+    console.error(`Failed to record trade offer ${offerId}:`, error);
+    // Nothing would handle the offer's outcome, so take it back before the user can accept it
+    error.offerCancelled = await cancelUntrackedOffer(bot, offerId);
+    throw error;
+  }
+};
+
+const RECEIVED_ITEMS_ATTEMPTS = 3; // Steam's trade receipt can lag behind the offer state
+const RECEIVED_ITEMS_RETRY_DELAY = 2000;
+
+// Fetch the items a bot received from an accepted offer, with their new asset IDs
+const getReceivedItems = (offer) => {
+  return new Promise((resolve, reject) => {
+    offer.getReceivedItems((err, items) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(items);
+    });
+  });
+};
+
+// Store the bot's asset IDs of deposited items so payouts send exactly those assets
+// Items with the same name within one offer are interchangeable, so they are paired up by name
+const captureReceivedAssets = async (record, offer) => {
+  let receivedItems;
+  for (let attempt = 1; attempt <= RECEIVED_ITEMS_ATTEMPTS; attempt++) {
+    try {
+      receivedItems = await getReceivedItems(offer);
+      break;
+    } catch (err) {
+      console.error(`Failed to get received items of offer ${offer.id} (attempt ${attempt}):`, err.message);
+      if (attempt === RECEIVED_ITEMS_ATTEMPTS) {
+        // Payouts fall back to matching these items by name
+        await Item.updateMany({ _id: { $in: record.items } }, { bot: record.bot });
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, RECEIVED_ITEMS_RETRY_DELAY));
+    }
+  }
+
+  const items = await Item.find({ _id: { $in: record.items } });
+  const unclaimed = receivedItems.slice();
+
+  for (const item of items) {
+    const index = unclaimed.findIndex(received => received.market_hash_name === item.name);
+    const update = { bot: record.bot };
+
+    if (index === -1) {
+      console.error(`Offer ${offer.id}: no received asset found for item ${item._id} (${item.name}).`);
+    } else {
+      update.botAssetId = unclaimed[index].assetid;
+      unclaimed.splice(index, 1);
+    }
+
+    await Item.updateOne({ _id: item._id }, update);
+  }
+};
+
+// Run the handler for an offer's final state, and mark the offer handled once the handler succeeded
+// A handler that throws, or a restart in the middle, leaves the offer unhandled for retryUnhandledOffers
+const handleFinalState = async (record, offer) => {
+  const key = String(record._id);
+  if (handlingOffers.has(key)) return;
+  handlingOffers.add(key);
+
+  try {
+    await TradeOffer.updateOne({ _id: record._id }, { $inc: { handleAttempts: 1 } });
+    const handler = offerHandlers[record.purpose] || {};
+
+    // Items locked for the offer are free again once it is final
+    await unlockItems(record.offerId);
+
+    if (record.state === 'Accepted') {
+      console.log(`Trade offer ${offer.id} was accepted!`);
+
+      // Deposited items now sit in the bot that received them, which is the one that pays them out
+      if (record.type === 'deposit') {
+        await captureReceivedAssets(record, offer);
+      } else {
+        await Item.updateMany({ _id: { $in: record.items } }, { $unset: { bot: 1, botAssetId: 1 } });
+      }
+      if (handler.onAccepted) await handler.onAccepted(record, offer);
+    } else if (endedOfferStates.includes(SteamTradeManager.ETradeOfferState[record.state])) {
+      console.log(`Trade offer ${offer.id} was ${record.state}.`);
+      if (handler.onDeclined) await handler.onDeclined(record, offer);
+    }
+
+    await TradeOffer.updateOne({ _id: record._id }, { handledAt: new Date() });
+  } finally {
+    handlingOffers.delete(key);
+  }
+};
+
+// Record a new offer state and, once it is final, run the handler for the offer's purpose
+const applyOfferState = async (offerRecord, offer) => {
+  const state = SteamTradeManager.ETradeOfferState[offer.state];
+
+  // Polling and expiry can report the same change; only the first one handles it
+  const record = await TradeOffer.findOneAndUpdate(
+    { _id: offerRecord._id, state: { $ne: state } },
+    { state, updatedAt: new Date(), $push: { stateHistory: { state } } },
+    { new: true }
+  );
+  if (!record || openOfferStates.includes(state)) return;
+
+  await handleFinalState(record, offer);
+};
+
+// Handle a state change reported by the trade offer manager's polling
+// Also used for offers missing from the manager's poll data, whose state may have changed while the server was down
+const handleSentOfferChanged = async (offer) => {
+  try {
+    const record = await TradeOffer.findOne({ offerId: offer.id });
+    if (!record) return; // Not an offer the site is tracking
+
+    await applyOfferState(record, offer);
+  } catch (error) {
+    console.error(`Failed to handle state change of offer ${offer.id}:`, error);
+  }
+};
+
+// Fetch a sent offer from the bot that sent it
+const getOffer = (bot, offerId) => {
+  return new Promise((resolve, reject) => {
+    bot.manager.getOffer(offerId, (err, offer) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(offer);
+    });
+  });
+};
+
+// Cancel an offer the bot sent
+const cancelOffer = (offer) => {
+  return new Promise((resolve, reject) => {
+    offer.cancel((err) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+};
+
+// Fetch the offers a bot sent that can still be accepted
+const getActiveSentOffers = (bot) => {
+  return new Promise((resolve, reject) => {
+    bot.manager.getOffers(SteamTradeManager.EOfferFilter.ActiveOnly, (err, sent) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(sent);
+    });
+  });
+};
+
+// Cancel deposit offers that were not accepted before they expired
+// The offer's handler then releases the deposit, as for a declined offer
+const expireDepositOffers = async () => {
+  let expired;
+  try {
+    expired = await TradeOffer.find({
+      type: 'deposit',
+      state: { $in: openOfferStates },
+      expiresAt: { $lte: new Date() },
+    });
+  } catch (error) {
+    console.error('Failed to load expired deposit offers:', error);
+    return;
+  }
+
+  for (const record of expired) {
+    const bot = getBot(record.bot);
+    if (!isBotAvailable(bot)) continue; // Try again once the bot is back
+
+    try {
+      const offer = await getOffer(bot, record.offerId);
+
+      if (openOfferStates.includes(SteamTradeManager.ETradeOfferState[offer.state])) {
+        await cancelOffer(offer);
+        console.log(`Deposit offer ${offer.id} expired and was cancelled.`);
+
+        const user = await User.findById(record.user).select('steamId');
+        if (user) {
+          io.emitToUser(user.steamId, 'depositExpired', {
+            offerId: record.offerId,
+            jackpotId: record.jackpot,
+            coinflipId: record.coinflip,
+            items: record.items,
+            message: 'Your deposit offer was not accepted in time and has been cancelled.',
+          });
+        }
+      }
+
+      // Also covers offers that were accepted or declined just before expiring
+      await applyOfferState(record, offer);
+    } catch (error) {
+      console.error(`Failed to expire deposit offer ${record.offerId}:`, error.message);
+      recordTradeError(bot, error);
+    }
+  }
+};
+
+// Cancel an offer that could not be recorded
+// Resolves with whether it was cancelled; failures are only logged
+const cancelUntrackedOffer = async (botId, offerId) => {
+  const bot = getBot(botId);
+  if (!bot) return false;
+
+  try {
+    await cancelOffer(await getOffer(bot, offerId));
+    console.log(`Untracked trade offer ${offerId} was cancelled.`);
+    return true;
+  } catch (error) {
+    console.error(`Failed to cancel untracked trade offer ${offerId}:`, error.message);
+    return false;
+  }
+};
+
+// Handle final offers again whose handler failed or was cut short by a restart
+// Only offers whose state changed at least minAge milliseconds ago are picked up, so a handler still
+// running elsewhere is not raced; records from before handling was recorded have no handledAt and are left alone
+const retryUnhandledOffers = async (minAge = HANDLE_RETRY_DELAY) => {
+  let unhandled;
+  try {
+    unhandled = await TradeOffer.find({
+      state: { $nin: openOfferStates },
+      handledAt: { $type: 'null' },
+      handleAttempts: { $lt: MAX_HANDLE_ATTEMPTS },
+      updatedAt: { $lte: new Date(Date.now() - minAge) },
+    });
+  } catch (error) {
+    console.error('Failed to load unhandled trade offers:', error);
+    return;
+  }
+
+  for (const record of unhandled) {
+    if (handlingOffers.has(String(record._id))) continue;
+    const bot = getBot(record.bot);
+    if (!isBotAvailable(bot)) continue; // Try again once the bot is back
+
+    try {
+      const offer = await getOffer(bot, record.offerId);
+      console.log(`Handling ${record.state} trade offer ${record.offerId} again.`);
+      await handleFinalState(record, offer);
+    } catch (error) {
+      console.error(`Failed to handle trade offer ${record.offerId} (attempt ${record.handleAttempts + 1}):`, error);
+      if (record.handleAttempts + 1 >= MAX_HANDLE_ATTEMPTS) {
+        console.error(`Trade offer ${record.offerId} is left unhandled and needs an admin.`);
+      }
+    }
+  }
+};
+
+// Free items whose lock no open offer holds any more
+const sweepItemLocks = async () => {
+  try {
+    const released = await releaseStaleLocks(openOfferStates);
+    if (released > 0) {
+      console.log(`Released ${released} item(s) locked without an open trade offer.`);
+    }
+  } catch (error) {
+    console.error('Failed to release stale item locks:', error);
+  }
+};
+
+// Runs on every tick of the offer interval
+const checkOffers = async () => {
+  await expireDepositOffers();
+  await retryUnhandledOffers();
+  await sweepItemLocks();
+};
+
+// Listen for offer state changes, re-attach offers that were still open when the server stopped
+// and handle the final ones it did not finish handling
+const startOfferTracking = async () => {
+  bots.forEach(({ manager }) => {
+    manager.removeListener('sentOfferChanged', handleSentOfferChanged);
+    manager.removeListener('unknownOfferSent', handleSentOfferChanged);
+    manager.on('sentOfferChanged', handleSentOfferChanged);
+    manager.on('unknownOfferSent', handleSentOfferChanged);
+  });
+
+  try {
+    const openOffers = await TradeOffer.find({ state: { $in: openOfferStates } });
+
+    // Seed each bot's poll data with the last known state so the next poll reports any change
+    openOffers.forEach((record) => {
+      const bot = getBot(record.bot);
+      if (!bot) {
+        console.error(`Trade offer ${record.offerId} was sent by bot ${record.bot}, which is no longer configured.`);
+        return;
+      }
+      bot.manager.pollData = bot.manager.pollData || {};
+      bot.manager.pollData.sent = bot.manager.pollData.sent || {};
+      bot.manager.pollData.sent[record.offerId] = SteamTradeManager.ETradeOfferState[record.state];
+    });
+
+    console.log(`Tracking ${openOffers.length} open trade offer(s).`);
+  } catch (error) {
+    console.error('Failed to re-attach open trade offers:', error);
+  }
+
+  // Nothing is being handled yet, so offers the last run left unhandled can be picked up right away
+  await retryUnhandledOffers(0);
+  await sweepItemLocks();
+
+  if (expiryInterval) {
+    clearInterval(expiryInterval);
+  }
+  expiryInterval = setInterval(checkOffers, OFFER_EXPIRY_INTERVAL);
+};
+
+module.exports = {
+  sendTradeOfferToUser,
+  verifyTradeUrl,
+  applyRetryPolicy,
+  registerOfferHandler,
+  trackTradeOffer,
+  startOfferTracking,
+  getOffer,
+  cancelOffer,
+  getActiveSentOffers,
+  openOfferStates,
+};
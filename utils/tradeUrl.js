@@ -0,0 +1,41 @@
+// utils/tradeUrl.js
+
+// SteamID64 of the individual account with account ID 0
+const STEAM_ID64_BASE = BigInt('76561197960265728');
+
+/**
+ * Parses a Steam trade URL (https://steamcommunity.com/tradeoffer/new/?partner=<accountId>&token=<token>).
+ * @param {string} tradeUrl - The trade URL.
+ * @returns {Object|null} { partner, token, steamId64, tradeUrl } with a normalized URL, or null if it is not a valid trade URL.
+ */
+const parseTradeUrl = (tradeUrl) => {
+  if (typeof tradeUrl !== 'string') return null;
+
+  let url;
+  try {
+    url = new URL(tradeUrl.trim());
+  } catch (error) {
+    return null;
+  }
+
+  if (url.protocol !== 'https:' || url.hostname !== 'steamcommunity.com') return null;
+  if (!/^\/tradeoffer\/new\/?$/.test(url.pathname)) return null;
+
+  const partner = url.searchParams.get('partner');
+  const token = url.searchParams.get('token');
+
+  // The partner is a 32-bit account ID, the token 8 URL-safe characters
+  if (!/^\d{1,10}$/.test(partner || '') || Number(partner) === 0 || Number(partner) > 0xFFFFFFFF) return null;
+  if (!/^[A-Za-z0-9_-]{8}$/.test(token || '')) return null;
+
+  return {
+    partner,
+    token,
+    steamId64: (STEAM_ID64_BASE + BigInt(partner)).toString(),
+    tradeUrl: `https://steamcommunity.com/tradeoffer/new/?partner=${partner}&token=${token}`,
+  };
+};
+
+module.exports = {
+  parseTradeUrl,
+};